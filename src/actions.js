@@ -0,0 +1,333 @@
+// src/actions.js
+// Accepting browser actions, shared by the HTTP routes and the JSON-RPC endpoint.
+import { isValidSessionName } from "./utils/session.js";
+import { canActAs } from "./utils/auth.js";
+import { isValidCallbackUrl } from "./utils/webhooks.js";
+import { ApiError } from "./utils/errors.js";
+import { parseRecipient } from "./utils/recipient.js";
+import { storeAttachments } from "./utils/attachments.js";
+
+// who a send goes to: `recipient` (a name or an exact recipient, see
+// recipient.js), `profileUrl`, or `candidateIndex` into the candidates of
+// the resolveRecipient search `searchId`
+function targetProblem(input, missing) {
+  const { recipient, profileUrl, searchId, candidateIndex } = input;
+  if (searchId !== undefined || candidateIndex !== undefined) {
+    if (profileUrl !== undefined) return "ambiguous_recipient";
+    if (
+      !(typeof searchId === "string" && /^[A-Za-z0-9-]{1,64}$/.test(searchId))
+    )
+      return "invalid_search_id";
+    if (!(Number.isInteger(candidateIndex) && candidateIndex >= 0))
+      return "invalid_candidate_index";
+    return null;
+  }
+  if (profileUrl !== undefined) {
+    const type = parseRecipient(profileUrl).type;
+    return type === "userId" || type === "username"
+      ? null
+      : "invalid_profile_url";
+  }
+  if (!recipient) return missing;
+  const type = parseRecipient(recipient).type;
+  if (type === "invalid") return "invalid_recipient";
+  return null;
+}
+
+// paging and filters of a listing: { limit, cursor, unreadOnly, since, folder }
+function listProblem(input) {
+  const { limit, cursor, unreadOnly, since, folder } = input;
+  if (
+    limit !== undefined &&
+    !(Number.isInteger(limit) && limit >= 1 && limit <= 100)
+  )
+    return "invalid_limit";
+  if (
+    cursor !== undefined &&
+    !(typeof cursor === "string" && /^[A-Za-z0-9.]+$/.test(cursor))
+  )
+    return "invalid_cursor";
+  if (unreadOnly !== undefined && typeof unreadOnly !== "boolean")
+    return "invalid_unread_only";
+  if (
+    since !== undefined &&
+    !(typeof since === "string" && !Number.isNaN(Date.parse(since)))
+  )
+    return "invalid_since";
+  if (folder !== undefined && !["inbox", "archived"].includes(folder))
+    return "invalid_folder";
+  return null;
+}
+
+// the message acted on: `messageId` (from getThreadMessages) or `match:
+// { text, timestamp }`, in `thread` (as for getThreadMessages)
+function messageTargetProblem({ thread, messageId, match }) {
+  if (parseRecipient(thread).type === "invalid") return "invalid_thread";
+  if (messageId !== undefined) {
+    if (match !== undefined) return "message_id_and_match";
+    return typeof messageId === "string" && /^[0-9a-f]{16}$/.test(messageId)
+      ? null
+      : "invalid_message_id";
+  }
+  if (match === undefined) return "message_required";
+  if (
+    !match ||
+    typeof match !== "object" ||
+    typeof match.text !== "string" ||
+    !match.text.trim() ||
+    typeof match.timestamp !== "string" ||
+    Number.isNaN(Date.parse(match.timestamp))
+  )
+    return "invalid_match";
+  return null;
+}
+
+// a reaction is one emoji (skin tones and ZWJ sequences included)
+const EMOJI = /^[\p{Extended_Pictographic}\p{Emoji_Component}\u200d]{1,16}$/u;
+
+// scopes a key needs (any of them), the params a job keeps, the error for
+// missing ones and an optional check(input, uploads) returning an error code;
+// `readOnly` ones change nothing on Facebook and may run again after a crash
+export const ACTIONS = {
+  login: {
+    scope: "session-admin",
+    params: ["email", "password"],
+    required: ["email", "password"],
+    missing: "email_and_password_required",
+  },
+  sendMessage: {
+    scope: "send",
+    params: [
+      "recipient",
+      "text",
+      "dryRun",
+      "profileUrl",
+      "searchId",
+      "candidateIndex",
+      "attachments",
+      "template",
+      "variables",
+      "locale",
+    ],
+    required: [],
+    missing: "recipient_and_text_required",
+    // the text comes from `text` or `template`; with attachments it is an
+    // optional caption
+    check: (input, uploads) => {
+      if (input.text && input.template !== undefined)
+        return "text_and_template";
+      const hasFiles = (input.attachments || []).length || uploads.length;
+      if (!input.text && input.template === undefined && !hasFiles)
+        return "recipient_and_text_required";
+      return targetProblem(input, "recipient_and_text_required");
+    },
+  },
+  friendRequest: {
+    scope: "friend",
+    params: ["recipient", "dryRun", "profileUrl", "searchId", "candidateIndex"],
+    required: [],
+    missing: "recipient_required",
+    // the button is on the profile page; a thread alone is not enough
+    needsProfile: true,
+    check: (input) => targetProblem(input, "recipient_required"),
+  },
+  resolveRecipient: {
+    scope: ["send", "friend"],
+    params: ["query"],
+    required: ["query"],
+    missing: "query_required",
+    readOnly: true,
+  },
+  getConversations: {
+    scope: "read",
+    params: ["limit", "cursor", "unreadOnly", "since", "folder"],
+    required: [],
+    readOnly: true,
+    check: listProblem,
+  },
+  replyToMessage: {
+    scope: "send",
+    params: ["thread", "messageId", "match", "text"],
+    required: ["thread", "text"],
+    missing: "thread_and_text_required",
+    check: (input) =>
+      typeof input.text !== "string"
+        ? "invalid_text"
+        : messageTargetProblem(input),
+  },
+  reactToMessage: {
+    scope: "send",
+    params: ["thread", "messageId", "match", "emoji", "remove"],
+    required: ["thread", "emoji"],
+    missing: "thread_and_emoji_required",
+    check: (input) => {
+      const { emoji, remove } = input;
+      if (
+        typeof emoji !== "string" ||
+        !EMOJI.test(emoji) ||
+        !/\p{Extended_Pictographic}/u.test(emoji)
+      )
+        return "invalid_emoji";
+      if (remove !== undefined && typeof remove !== "boolean")
+        return "invalid_remove";
+      return messageTargetProblem(input);
+    },
+  },
+  editMessage: {
+    scope: "send",
+    params: ["thread", "messageId", "match", "text"],
+    required: ["thread", "text"],
+    missing: "thread_and_text_required",
+    check: (input) =>
+      typeof input.text !== "string"
+        ? "invalid_text"
+        : messageTargetProblem(input),
+  },
+  unsendMessage: {
+    scope: "send",
+    params: ["thread", "messageId", "match"],
+    required: ["thread"],
+    missing: "thread_required",
+    check: messageTargetProblem,
+  },
+  getThreadMessages: {
+    scope: "read",
+    params: ["thread", "limit", "before"],
+    required: ["thread"],
+    missing: "thread_required",
+    readOnly: true,
+    // `thread`: a thread ID, an exact recipient or a name
+    check: ({ thread, limit, before }) => {
+      if (parseRecipient(thread).type === "invalid") return "invalid_thread";
+      if (
+        limit !== undefined &&
+        !(Number.isInteger(limit) && limit >= 1 && limit <= 200)
+      )
+        return "invalid_limit";
+      if (
+        before !== undefined &&
+        !(
+          typeof before === "string" &&
+          (/^[0-9a-f]{16}$/.test(before) || !Number.isNaN(Date.parse(before)))
+        )
+      )
+        return "invalid_before";
+      return null;
+    },
+  },
+};
+
+// requests pick the account they act as with `account` (`sessionName` is
+// still accepted for older clients)
+export function accountOf(input = {}) {
+  return input.account || input.sessionName || "default";
+}
+
+// `attachmentLimits`: { maxBytes, maxCount, allowedDir } for storeAttachments;
+// `templates` a TemplateStore, `localeOf(account)` the locale a template is
+// rendered in when the request names none; `searches` the RecipientSearches
+// that { searchId, candidateIndex } are looked up in
+export function createActions({
+  jobs,
+  supervisor,
+  webhooks,
+  attachmentLimits,
+  templates,
+  searches,
+  localeOf = () => undefined,
+}) {
+  /**
+   * Validate `input` for action `type` on behalf of `apiKey` and queue it.
+   * `uploads` are multer files of a multipart request. Throws ApiError when
+   * the request is refused; returns the queued job.
+   */
+  function submit(apiKey, type, input = {}, { uploads = [] } = {}) {
+    const action = ACTIONS[type];
+    if (!action) throw new ApiError(404, "unknown_action");
+
+    const account = accountOf(input);
+    if (!isValidSessionName(account))
+      throw new ApiError(400, "invalid_account");
+    const scopes = [].concat(action.scope);
+    if (!apiKey || !scopes.some((s) => apiKey.scopes.includes(s)))
+      throw new ApiError(403, "insufficient_scope", { scope: action.scope });
+    if (!canActAs(apiKey, account))
+      throw new ApiError(403, "session_not_allowed", { sessionName: account });
+
+    const { callbackUrl } = input;
+    if (callbackUrl !== undefined && callbackUrl !== null) {
+      if (!webhooks.enabled) throw new ApiError(400, "webhooks_not_configured");
+      if (!isValidCallbackUrl(callbackUrl))
+        throw new ApiError(400, "invalid_callback_url");
+    }
+
+    if (!supervisor.ready)
+      throw new ApiError(503, "page_not_ready", {
+        state: supervisor.state,
+        retryable: true,
+      });
+
+    if (action.required.some((k) => !input[k]))
+      throw new ApiError(400, action.missing);
+    // a string "false" must not turn into a real send
+    if (input.dryRun !== undefined && typeof input.dryRun !== "boolean")
+      throw new ApiError(400, "invalid_dry_run");
+    if (
+      (input.attachments !== undefined || uploads.length) &&
+      !action.params.includes("attachments")
+    )
+      throw new ApiError(400, "attachments_not_supported");
+    const problem = action.check && action.check(input, uploads);
+    if (problem) throw new ApiError(400, problem);
+
+    const params = {};
+    for (const k of action.params)
+      if (input[k] !== undefined) params[k] = input[k];
+    // the job carries who the candidate was, not an index into a search
+    if (params.searchId !== undefined) {
+      const candidates = searches.get(account, params.searchId);
+      if (!candidates)
+        throw new ApiError(409, "stale_candidate", {
+          searchId: params.searchId,
+        });
+      const candidate = candidates[params.candidateIndex];
+      if (!candidate)
+        throw new ApiError(400, "candidate_not_found", {
+          candidates: candidates.length,
+        });
+      if (!candidate.profileUrl && action.needsProfile)
+        throw new ApiError(400, "candidate_has_no_profile", { candidate });
+      if (candidate.profileUrl) params.profileUrl = candidate.profileUrl;
+      params.recipient = candidate.profileUrl
+        ? candidate.name
+        : candidate.recipient;
+    }
+    // rendered now: the job (and its journal entry) carries the exact text
+    // that was accepted, whatever happens to the template later
+    if (params.template !== undefined) {
+      const rendered = templates.render(
+        params.template,
+        params.variables,
+        params.locale || localeOf(account)
+      );
+      params.text = rendered.text;
+      params.templateLocale = rendered.locale;
+    }
+    // last, so a refused request never leaves files behind
+    if (params.attachments || uploads.length)
+      params.attachments = storeAttachments(
+        input.attachments,
+        uploads,
+        attachmentLimits
+      );
+
+    return jobs.enqueue({
+      type,
+      sessionName: account,
+      params,
+      callbackUrl: callbackUrl || null,
+    });
+  }
+
+  return { submit };
+}
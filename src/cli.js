@@ -0,0 +1,522 @@
+#!/usr/bin/env node
+// src/cli.js
+// fb-automation: operator CLI. Drives a local browser by default; with
+// --server (or FB_AUTOMATION_SERVER) it is a client of a running server.
+import { parseArgs } from "util";
+import fs from "fs/promises";
+import path from "path";
+import { randomUUID } from "crypto";
+import { loadConfig, accountConfig, ConfigError } from "./config.js";
+import { launchBrowser } from "./utils/browser.js";
+import ContextPool from "./utils/contextPool.js";
+import {
+  isValidSessionName,
+  listSessions,
+  getSessionInfo,
+  readSessionFile,
+  writeSessionFile,
+  checkSessionData,
+} from "./utils/session.js";
+import { pruneScreenshots } from "./utils/screenshot.js";
+import { storeAttachments, removeAttachments } from "./utils/attachments.js";
+import TemplateStore from "./utils/templates.js";
+import { ApiError } from "./utils/errors.js";
+
+const USAGE = `Usage: fb-automation <command> [options]
+
+Commands:
+  login                          log the account in and save its session
+  send <recipient> [text...]     send a message (text optional with --attach)
+  friend <name|url>              send a friend request
+  resolve <name>                 list everyone a name could mean, each with
+                                 a recipient to send / friend instead
+  session list                   saved sessions and their age
+  session export <name> [file]   print (or write) a session file
+  session import <file>          store a session file for --account
+  session validate <name>        check a session file's cookies offline
+  screenshots prune              delete old screenshots
+
+Options:
+  -a, --account <name>     account / session name (default: "default")
+  -s, --server <url>       talk to a running server instead of a local browser
+  -k, --api-key <key>      API key for --server (env: FB_AUTOMATION_API_KEY)
+      --email <email>      login email (env: FB_EMAIL)
+      --password <pass>    login password (env: FB_PASSWORD, preferred)
+      --search <id>        with --server, send / friend: a \`resolve\` search id
+      --candidate <n>      with --search: pick result n of that search
+      --attach <file>      send: attach a file (repeatable); text is the caption
+      --template <name>    send: render a stored template instead of text
+      --var <key=value>    send: template variable (repeatable)
+      --locale <tag>       send: template locale (default: the account's)
+      --detach             with --server: print the job id, don't wait
+      --older-than <days>  screenshots prune: age cutoff (default: 7)
+      --dry-run            send / friend: find the target but don't send;
+                           screenshots prune: only list what would go
+      --json               machine-readable output
+  -h, --help               show this help
+
+A local browser uses the same sessions/ folder as the server; don't run
+both against the same account at once.`;
+
+const OPTIONS = {
+  account: { type: "string", short: "a", default: "default" },
+  server: { type: "string", short: "s" },
+  "api-key": { type: "string", short: "k" },
+  email: { type: "string" },
+  password: { type: "string" },
+  search: { type: "string" },
+  candidate: { type: "string" },
+  attach: { type: "string", multiple: true, default: [] },
+  template: { type: "string" },
+  var: { type: "string", multiple: true, default: [] },
+  locale: { type: "string" },
+  detach: { type: "boolean", default: false },
+  "older-than": { type: "string", default: "7" },
+  "dry-run": { type: "boolean", default: false },
+  json: { type: "boolean", default: false },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+class UsageError extends Error {}
+
+// sendFriendRequest reports { status: "success" } instead of { success }
+const succeeded = (result) =>
+  Boolean(result && (result.success ?? result.status === "success"));
+
+function print(opts, value, text) {
+  console.log(opts.json ? JSON.stringify(value, null, 2) : text);
+}
+
+function printResult(opts, result) {
+  const ok = succeeded(result);
+  let detail = result.error || result.reason || "failed";
+  if (ok) detail = result.alreadyLoggedIn ? "already logged in" : "";
+  if (ok && result.dryRun) detail = `dry run via ${result.path}`;
+  if (ok && result.deliveryState)
+    detail = `${result.deliveryState} (thread ${result.threadId || "?"})`;
+  if (!ok && result.missing) detail += ` (${result.missing.join(", ")})`;
+  print(opts, result, `${ok ? "ok" : "failed"}${detail ? `: ${detail}` : ""}`);
+  if (!opts.json && result.renderedText)
+    console.log(`text (${result.templateLocale}): ${result.renderedText}`);
+  if (!opts.json && result.dryRun)
+    console.log(`would use: ${JSON.stringify(result.target)}`);
+  if (!opts.json && result.jobId) console.log(`job: ${result.jobId}`);
+  if (!opts.json && result.screenshot)
+    console.log(`screenshot: ${result.screenshot}`);
+  return ok ? 0 : 1;
+}
+
+function printStep(opts, event) {
+  if (opts.json) return;
+  const { step, at, screenshot, ...meta } = event;
+  const extra = Object.keys(meta).length ? ` ${JSON.stringify(meta)}` : "";
+  console.error(`  - ${step}${extra}${screenshot ? ` (${screenshot})` : ""}`);
+}
+
+// ---------- local mode ----------
+
+// open the account's context, run fn(fb), then close everything again
+async function withController(opts, fn) {
+  const config = loadConfig();
+  const browser = await launchBrowser(config);
+  const pool = new ContextPool(browser, {
+    idleMs: config.contextIdleMs,
+    settingsFor: (name) => accountConfig(config, name),
+  });
+  try {
+    return await pool.use(opts.account, async (fb) => {
+      fb.onProgress = (event) => printStep(opts, event);
+      return fn(fb);
+    });
+  } finally {
+    await pool.closeAll().catch(() => {});
+    await browser.close().catch(() => {});
+  }
+}
+
+const local = {
+  login(opts) {
+    const { email, password } = credentials(opts);
+    return withController(opts, (fb) => fb.login(email, password));
+  },
+  async send(opts, recipient, text) {
+    const config = loadConfig();
+    // same checks and copies the server makes
+    let rendered = null;
+    if (opts.template) {
+      const templates = new TemplateStore({ file: config.templatesFile });
+      rendered = templates.render(
+        opts.template,
+        opts.variables,
+        opts.locale || accountConfig(config, opts.account).locale
+      );
+      text = rendered.text;
+    }
+    const attachments = storeAttachments(await readAttachments(opts), [], {
+      maxBytes: config.attachmentMaxBytes,
+      maxCount: config.attachmentMaxCount,
+      allowedDir: config.attachmentsDir,
+    });
+    try {
+      const result = await withController(opts, (fb) =>
+        fb.sendMessage(recipient, text, opts.account, {
+          dryRun: opts["dry-run"],
+          attachments,
+        })
+      );
+      if (!rendered) return result;
+      return {
+        ...result,
+        template: opts.template,
+        templateLocale: rendered.locale,
+        renderedText: text,
+      };
+    } finally {
+      removeAttachments(attachments);
+    }
+  },
+  friend(opts, target) {
+    return withController(opts, (fb) =>
+      fb.sendFriendRequest(target, { dryRun: opts["dry-run"] })
+    );
+  },
+  resolve(opts, name) {
+    return withController(opts, (fb) => fb.resolveRecipient(name));
+  },
+};
+
+// ---------- remote mode ----------
+
+async function request(opts, method, route, body) {
+  const headers = { "x-api-key": opts.apiKey };
+  if (body) {
+    headers["Content-Type"] = "application/json";
+    // lets a retried CLI call be recognised by the server
+    headers["Idempotency-Key"] = opts.idempotencyKey;
+  }
+  const res = await fetch(new URL(route, opts.server), {
+    method,
+    headers,
+    body: body && JSON.stringify(body),
+  });
+  const data = await res.json().catch(() => ({ success: false }));
+  return { status: res.status, data };
+}
+
+// read /jobs/:id/events until the job has finished; resolves to the job
+async function followJob(opts, jobId) {
+  const res = await fetch(new URL(`/jobs/${jobId}/events`, opts.server), {
+    headers: { "x-api-key": opts.apiKey },
+  });
+  if (!res.ok) throw new Error(`GET /jobs/${jobId}/events: HTTP ${res.status}`);
+
+  let job = null;
+  let buffer = "";
+  const decoder = new TextDecoder();
+  for await (const chunk of res.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let end;
+    while ((end = buffer.indexOf("\n\n")) !== -1) {
+      const block = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      const event = (block.match(/^event: (.*)$/m) || [])[1];
+      const data = (block.match(/^data: (.*)$/m) || [])[1];
+      if (!event || !data) continue; // heartbeat
+      if (event === "step") printStep(opts, JSON.parse(data));
+      if (event === "status") job = JSON.parse(data);
+    }
+  }
+  return job;
+}
+
+async function submitJob(opts, route, body) {
+  const { status, data } = await request(opts, "POST", route, {
+    account: opts.account,
+    ...body,
+  });
+  if (status !== 202) return data;
+  if (opts.detach) return data;
+  const job = await followJob(opts, data.jobId);
+  if (!job) return { success: false, error: "job_stream_ended" };
+  return {
+    ...(job.result || { success: false, error: job.error }),
+    jobId: job.id,
+    screenshot: job.screenshot,
+  };
+}
+
+const remote = {
+  async login(opts) {
+    const { data } = await request(opts, "POST", "/login", {
+      account: opts.account,
+      ...credentials(opts),
+    });
+    return data;
+  },
+  async send(opts, recipient, text) {
+    const attachments = await readAttachments(opts);
+    return submitJob(opts, "/sendMessage", {
+      recipient,
+      text,
+      dryRun: opts["dry-run"],
+      ...pick(opts),
+      ...(attachments.length && { attachments }),
+      ...(opts.template && {
+        template: opts.template,
+        variables: opts.variables,
+        locale: opts.locale,
+      }),
+    });
+  },
+  friend(opts, recipient) {
+    return submitJob(opts, "/friendRequest", {
+      recipient,
+      dryRun: opts["dry-run"],
+      ...pick(opts),
+    });
+  },
+  async resolve(opts, name) {
+    const query = new URLSearchParams({ q: name, account: opts.account });
+    const { data } = await request(opts, "GET", `/recipients/search?${query}`);
+    return data;
+  },
+};
+
+// ---------- commands ----------
+
+// --attach files as { filename, data } (base64), the form both modes accept
+async function readAttachments(opts) {
+  const list = [];
+  for (const file of opts.attach) {
+    let data;
+    try {
+      data = await fs.readFile(file);
+    } catch (err) {
+      throw new UsageError(`cannot read ${file}: ${err.code || err.message}`);
+    }
+    list.push({ filename: path.basename(file), data: data.toString("base64") });
+  }
+  return list;
+}
+
+function credentials(opts) {
+  const email = opts.email || process.env.FB_EMAIL;
+  const password = opts.password || process.env.FB_PASSWORD;
+  if (!email || !password)
+    throw new UsageError(
+      "login needs --email and --password (or FB_EMAIL / FB_PASSWORD)"
+    );
+  return { email, password };
+}
+
+// --search / --candidate: the server keeps the searches they point into
+function pick(opts) {
+  if (opts.search === undefined && opts.candidate === undefined) return {};
+  return { searchId: opts.search, candidateIndex: Number(opts.candidate) };
+}
+
+function localOnly(opts, what) {
+  if (opts.server)
+    throw new UsageError(`${what} works on the local sessions/ folder only`);
+}
+
+function sessionName(name) {
+  if (!isValidSessionName(name))
+    throw new UsageError(`invalid session name: ${JSON.stringify(name)}`);
+  return name;
+}
+
+async function sessionCommand(opts, [sub, ...args]) {
+  if (sub === "list") {
+    let out = [];
+    if (opts.server) {
+      const { data } = await request(opts, "GET", "/sessions");
+      if (!data.success) return printResult(opts, data);
+      out = data.sessions;
+    } else
+      for (const file of await listSessions()) {
+        const name = file.replace(/\.json$/, "");
+        const info = await getSessionInfo(name);
+        const check = checkSessionData(
+          await readSessionFile(name).catch(() => null)
+        );
+        out.push({ name, savedAt: info.savedAt, ...check });
+      }
+    print(
+      opts,
+      out,
+      out
+        .map(
+          (s) =>
+            `${s.name}\tsaved ${s.savedAt || "-"}\t${
+              s.ok ? "ok" : s.problems.join("; ")
+            }${s.state ? `\t${s.state}` : ""}`
+        )
+        .join("\n") || "no sessions"
+    );
+    return 0;
+  }
+
+  if (sub === "export") {
+    localOnly(opts, "session export");
+    const [name, file] = args;
+    const data = await readSessionFile(sessionName(name || opts.account));
+    const json = JSON.stringify(data, null, 2);
+    if (file) await fs.writeFile(file, json, "utf8");
+    else console.log(json);
+    return 0;
+  }
+
+  if (sub === "import") {
+    const [file] = args;
+    if (!file) throw new UsageError("session import needs a file");
+    const data = JSON.parse(await fs.readFile(file, "utf8"));
+    const check = checkSessionData(data);
+    if (!check.ok && !opts.json)
+      console.error(`warning: ${check.problems.join("; ")}`);
+    if (opts.server) {
+      const { data: res } = await request(opts, "POST", "/uploadSession", {
+        account: opts.account,
+        session: data,
+      });
+      return printResult(opts, res);
+    }
+    const written = await writeSessionFile(opts.account, data);
+    return printResult(opts, { success: true, file: written });
+  }
+
+  if (sub === "validate") {
+    localOnly(opts, "session validate");
+    const name = sessionName(args[0] || opts.account);
+    const data = await readSessionFile(name).catch(() => null);
+    const check = data
+      ? checkSessionData(data)
+      : { ok: false, problems: ["no session file"], expiresAt: null };
+    print(
+      opts,
+      { name, ...check },
+      check.ok
+        ? `${name}: ok${check.expiresAt ? ` (expires ${check.expiresAt})` : ""}`
+        : `${name}: ${check.problems.join("; ")}`
+    );
+    return check.ok ? 0 : 1;
+  }
+
+  throw new UsageError(`unknown session command: ${sub || "(none)"}`);
+}
+
+async function screenshotsCommand(opts, [sub]) {
+  if (sub !== "prune")
+    throw new UsageError(`unknown screenshots command: ${sub || "(none)"}`);
+  localOnly(opts, "screenshots prune");
+  const days = Number(opts["older-than"]);
+  if (!(days >= 0))
+    throw new UsageError("--older-than must be a number of days");
+  const result = await pruneScreenshots({
+    olderThanMs: days * 24 * 60 * 60 * 1000,
+    dryRun: opts["dry-run"],
+  });
+  const mb = (result.freedBytes / 1024 / 1024).toFixed(1);
+  print(
+    opts,
+    result,
+    `${opts["dry-run"] ? "would remove" : "removed"} ${
+      result.removed.length
+    } screenshot(s), ${mb} MB`
+  );
+  return 0;
+}
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    options: OPTIONS,
+    allowPositionals: true,
+  });
+  const opts = {
+    ...values,
+    server: values.server || process.env.FB_AUTOMATION_SERVER,
+    apiKey: values["api-key"] || process.env.FB_AUTOMATION_API_KEY,
+    idempotencyKey: randomUUID(),
+  };
+  opts.variables = {};
+  for (const pair of opts.var) {
+    const eq = pair.indexOf("=");
+    if (eq < 1) throw new UsageError(`--var needs key=value, got "${pair}"`);
+    opts.variables[pair.slice(0, eq)] = pair.slice(eq + 1);
+  }
+  if (opts.search !== undefined || opts.candidate !== undefined) {
+    if (!opts.server)
+      throw new UsageError("--search / --candidate need --server");
+    if (opts.search === undefined || !/^\d+$/.test(opts.candidate || ""))
+      throw new UsageError("--candidate <n> goes with --search <id>");
+  }
+  const [command, ...args] = positionals;
+  if (opts.help || !command) {
+    console.log(USAGE);
+    return command || opts.help ? 0 : 2;
+  }
+  if (opts.server && !opts.apiKey)
+    throw new UsageError("--server needs --api-key (or FB_AUTOMATION_API_KEY)");
+  const mode = opts.server ? remote : local;
+  sessionName(opts.account);
+
+  switch (command) {
+    case "login":
+      return printResult(opts, await mode.login(opts));
+    case "send": {
+      const [recipient, ...words] = args;
+      if (opts.template && words.length)
+        throw new UsageError("send takes <text> or --template, not both");
+      if (!recipient || !(words.length || opts.attach.length || opts.template))
+        throw new UsageError(
+          "send needs <recipient> and <text>, --template or --attach"
+        );
+      return printResult(
+        opts,
+        await mode.send(opts, recipient, words.join(" "))
+      );
+    }
+    case "friend":
+      if (!args[0]) throw new UsageError("friend needs <name|url>");
+      return printResult(opts, await mode.friend(opts, args[0]));
+    case "resolve": {
+      if (!args.length) throw new UsageError("resolve needs <name>");
+      const result = await mode.resolve(opts, args.join(" "));
+      if (!opts.json && result.success) {
+        if (result.searchId) console.log(`search: ${result.searchId}`);
+        for (const c of result.candidates)
+          console.log(
+            `${c.index}\t${c.recipient}\t${c.name}` +
+              `${c.isFriend ? "\tfriend" : ""}${c.hasThread ? "\tthread" : ""}`
+          );
+      }
+      return printResult(opts, result);
+    }
+    case "session":
+      return sessionCommand(opts, args);
+    case "screenshots":
+      return screenshotsCommand(opts, args);
+    default:
+      throw new UsageError(`unknown command: ${command}`);
+  }
+}
+
+main(process.argv.slice(2)).then(
+  (code) => process.exit(code),
+  (err) => {
+    if (
+      err instanceof UsageError ||
+      err.code === "ERR_PARSE_ARGS_UNKNOWN_OPTION"
+    ) {
+      console.error(`${err.message}\n\nRun fb-automation --help for usage.`);
+      process.exit(2);
+    }
+    if (err instanceof ConfigError) console.error(err.message);
+    // refused locally the way the server would refuse it
+    else if (err instanceof ApiError)
+      console.error(`error: ${err.code} ${JSON.stringify(err.extra)}`);
+    else console.error(`error: ${err.message}`);
+    process.exit(1);
+  }
+);
@@ -0,0 +1,295 @@
+// src/config.js
+// Effective settings = defaults < config file < environment (.env included).
+// Accounts can override the browser context and throttle settings under
+// `accounts.<name>` in the config file.
+import fs from "fs";
+import path from "path";
+import dotenv from "dotenv";
+import { isValidSessionName } from "./utils/session.js";
+
+const DEFAULTS = {
+  port: 3000,
+  headless: false, // visible browser reduces chance of checkpoint in many cases
+  viewport: { width: 1280, height: 800 },
+  userAgent:
+    "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
+  locale: "en-US",
+  timezoneId: "Asia/Kabul",
+  minMessageIntervalMs: 10_000,
+  contextIdleMs: 15 * 60 * 1000,
+  apiKeysFile: path.join("config", "api-keys.json"),
+  journalFile: "requests.jsonl",
+  webhookSecret: null,
+  publicBaseUrl: null,
+  idempotencyTtlMs: 24 * 60 * 60 * 1000,
+  idempotencyFile: path.join("data", "idempotency.jsonl"),
+  // per file; Messenger itself refuses anything over 25 MB
+  attachmentMaxBytes: 25 * 1024 * 1024,
+  attachmentMaxCount: 10,
+  // `{ path }` attachments must live under this folder
+  attachmentsDir: "attachments",
+  templatesFile: path.join("data", "templates.json"),
+  // accounts whose inbox is watched from startup (more via PUT /watchers/:account)
+  watchAccounts: [],
+  // chat list re-read at least this often, besides on every DOM change
+  watchPollMs: 15 * 1000,
+  // message.received events go here: "https://..." or { url, accounts }
+  eventWebhooks: [],
+  inboxCursorFile: path.join("data", "inbox-cursor.json"),
+  // reply rules (re-read when edited) and the log of what they sent
+  autoRepliesFile: path.join("data", "auto-replies.json"),
+  autoReplyLogFile: path.join("data", "auto-replies.jsonl"),
+  accounts: {},
+};
+
+// settings an entry under `accounts` may change
+export const ACCOUNT_KEYS = [
+  "viewport",
+  "userAgent",
+  "locale",
+  "timezoneId",
+  "minMessageIntervalMs",
+];
+
+// never returned by GET /config
+const SECRET_KEYS = ["webhookSecret"];
+
+const ENV = {
+  PORT: ["port", "int"],
+  HEADLESS: ["headless", "bool"],
+  VIEWPORT: ["viewport", "viewport"],
+  USER_AGENT: ["userAgent", "string"],
+  LOCALE: ["locale", "string"],
+  TIMEZONE_ID: ["timezoneId", "string"],
+  MIN_MESSAGE_INTERVAL_MS: ["minMessageIntervalMs", "int"],
+  CONTEXT_IDLE_MS: ["contextIdleMs", "int"],
+  API_KEYS_FILE: ["apiKeysFile", "string"],
+  JOURNAL_FILE: ["journalFile", "string"],
+  WEBHOOK_SECRET: ["webhookSecret", "string"],
+  PUBLIC_BASE_URL: ["publicBaseUrl", "string"],
+  IDEMPOTENCY_TTL_MS: ["idempotencyTtlMs", "int"],
+  IDEMPOTENCY_FILE: ["idempotencyFile", "string"],
+  ATTACHMENT_MAX_BYTES: ["attachmentMaxBytes", "int"],
+  ATTACHMENT_MAX_COUNT: ["attachmentMaxCount", "int"],
+  ATTACHMENTS_DIR: ["attachmentsDir", "string"],
+  TEMPLATES_FILE: ["templatesFile", "string"],
+  WATCH_ACCOUNTS: ["watchAccounts", "list"],
+  WATCH_POLL_MS: ["watchPollMs", "int"],
+  EVENT_WEBHOOKS: ["eventWebhooks", "list"],
+  INBOX_CURSOR_FILE: ["inboxCursorFile", "string"],
+  AUTO_REPLIES_FILE: ["autoRepliesFile", "string"],
+  AUTO_REPLY_LOG_FILE: ["autoReplyLogFile", "string"],
+};
+
+export class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n  - ${problems.join("\n  - ")}`);
+    this.name = "ConfigError";
+    this.problems = problems;
+  }
+}
+
+// env values are strings; anything unparsable is left as-is for validate()
+function parseEnv(raw, type) {
+  if (type === "int") return /^\d+$/.test(raw) ? Number(raw) : raw;
+  if (type === "bool") {
+    if (/^(true|1|yes)$/i.test(raw)) return true;
+    if (/^(false|0|no)$/i.test(raw)) return false;
+    return raw;
+  }
+  if (type === "viewport") {
+    const m = raw.match(/^(\d+)x(\d+)$/);
+    return m ? { width: Number(m[1]), height: Number(m[2]) } : raw;
+  }
+  if (type === "list")
+    return raw
+      .split(",")
+      .map((s) => s.trim())
+      .filter(Boolean);
+  return raw;
+}
+
+function isPositiveInt(v) {
+  return Number.isInteger(v) && v > 0;
+}
+
+function validTimezone(tz) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function validLocale(locale) {
+  try {
+    return Intl.getCanonicalLocales(locale).length === 1;
+  } catch {
+    return false;
+  }
+}
+
+function validateSettings(s, where, problems) {
+  const bad = (key, why) => problems.push(`${where}${key} ${why}`);
+  if ("viewport" in s) {
+    const v = s.viewport;
+    if (!v || !isPositiveInt(v.width) || !isPositiveInt(v.height))
+      bad("viewport", 'must be { width, height } (env: "1280x800")');
+  }
+  if ("userAgent" in s && (typeof s.userAgent !== "string" || !s.userAgent))
+    bad("userAgent", "must be a non-empty string");
+  if ("locale" in s && !validLocale(s.locale))
+    bad("locale", `is not a valid locale: ${JSON.stringify(s.locale)}`);
+  if ("timezoneId" in s && !validTimezone(s.timezoneId))
+    bad(
+      "timezoneId",
+      `is not a known time zone: ${JSON.stringify(s.timezoneId)}`
+    );
+  if (
+    "minMessageIntervalMs" in s &&
+    !(Number.isInteger(s.minMessageIntervalMs) && s.minMessageIntervalMs >= 0)
+  )
+    bad("minMessageIntervalMs", "must be an integer >= 0");
+}
+
+function isHttpUrl(url) {
+  try {
+    return /^https?:$/.test(new URL(url).protocol);
+  } catch {
+    return false;
+  }
+}
+
+function validateEventWebhooks(config, problems) {
+  const hooks = config.eventWebhooks;
+  if (!Array.isArray(hooks))
+    return problems.push("eventWebhooks must be a list");
+  hooks.forEach((hook, i) => {
+    const { url, accounts } =
+      hook && typeof hook === "object" ? hook : { url: hook };
+    if (!isHttpUrl(url))
+      problems.push(`eventWebhooks[${i}] must be an http(s) URL or { url }`);
+    if (
+      accounts !== undefined &&
+      !(Array.isArray(accounts) && accounts.every(isValidSessionName))
+    )
+      problems.push(`eventWebhooks[${i}].accounts must be account names`);
+  });
+  // deliveries are signed
+  if (hooks.length && !config.webhookSecret)
+    problems.push("eventWebhooks need webhookSecret");
+}
+
+export function validateConfig(config) {
+  const problems = [];
+  if (!(isPositiveInt(config.port) && config.port < 65536))
+    problems.push("port must be an integer between 1 and 65535");
+  if (typeof config.headless !== "boolean")
+    problems.push("headless must be true or false");
+  for (const k of [
+    "contextIdleMs",
+    "idempotencyTtlMs",
+    "attachmentMaxBytes",
+    "attachmentMaxCount",
+    "watchPollMs",
+  ]) {
+    if (!isPositiveInt(config[k]))
+      problems.push(`${k} must be a positive integer`);
+  }
+  for (const k of [
+    "apiKeysFile",
+    "journalFile",
+    "idempotencyFile",
+    "attachmentsDir",
+    "templatesFile",
+    "inboxCursorFile",
+    "autoRepliesFile",
+    "autoReplyLogFile",
+  ]) {
+    if (typeof config[k] !== "string" || !config[k])
+      problems.push(`${k} must be a file path`);
+  }
+  if (config.publicBaseUrl) {
+    try {
+      new URL(config.publicBaseUrl);
+    } catch {
+      problems.push("publicBaseUrl must be an absolute URL");
+    }
+  }
+  if (
+    !Array.isArray(config.watchAccounts) ||
+    !config.watchAccounts.every(isValidSessionName)
+  )
+    problems.push("watchAccounts must be a list of account names");
+  validateEventWebhooks(config, problems);
+  validateSettings(config, "", problems);
+
+  if (!config.accounts || typeof config.accounts !== "object")
+    problems.push("accounts must be an object");
+  else
+    for (const [name, overrides] of Object.entries(config.accounts)) {
+      // also a session (and folder) name
+      if (!isValidSessionName(name))
+        problems.push(`accounts.${name} is not a valid account name`);
+      const unknown = Object.keys(overrides || {}).filter(
+        (k) => !ACCOUNT_KEYS.includes(k)
+      );
+      if (unknown.length)
+        problems.push(
+          `accounts.${name} has unknown settings: ${unknown.join(", ")}`
+        );
+      validateSettings(overrides || {}, `accounts.${name}.`, problems);
+    }
+
+  const known = Object.keys(DEFAULTS);
+  const unknown = Object.keys(config).filter((k) => !known.includes(k));
+  if (unknown.length) problems.push(`unknown settings: ${unknown.join(", ")}`);
+
+  if (problems.length) throw new ConfigError(problems);
+  return config;
+}
+
+/**
+ * Build and validate the effective configuration. The config file is
+ * CONFIG_FILE, else config/config.json if present. Throws ConfigError.
+ * Variables from .env are added to `env` (unless already set there).
+ */
+export function loadConfig(env = process.env) {
+  dotenv.config({ processEnv: env });
+
+  const file = env.CONFIG_FILE || path.join("config", "config.json");
+  let fromFile = {};
+  if (fs.existsSync(file)) {
+    try {
+      fromFile = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (err) {
+      throw new ConfigError([`${file} is not valid JSON: ${err.message}`]);
+    }
+  } else if (env.CONFIG_FILE) {
+    throw new ConfigError([`CONFIG_FILE ${file} does not exist`]);
+  }
+
+  const fromEnv = {};
+  for (const [name, [key, type]] of Object.entries(ENV)) {
+    if (env[name] !== undefined && env[name] !== "")
+      fromEnv[key] = parseEnv(env[name], type);
+  }
+
+  const config = { ...DEFAULTS, ...fromFile, ...fromEnv };
+  config.accounts = { ...(fromFile.accounts || {}) };
+  return Object.freeze(validateConfig(config));
+}
+
+// settings for one account: global values with its overrides on top
+export function accountConfig(config, name) {
+  const out = {};
+  for (const k of ACCOUNT_KEYS) out[k] = config[k];
+  return { ...out, ...(config.accounts[name] || {}) };
+}
+
+export function redactConfig(config) {
+  const out = JSON.parse(JSON.stringify(config));
+  for (const k of SECRET_KEYS) if (out[k]) out[k] = "[redacted]";
+  return out;
+}
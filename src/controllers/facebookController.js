@@ -3,11 +3,46 @@ import logger from "../utils/logger.js";
 import { captureScreenshot } from "../utils/screenshot.js";
 import { detectCaptcha } from "../utils/captcha.js";
 import { wait } from "../utils/wait.js";
-import { humanType, smallHumanMove } from "../utils/human.js";
+import {
+  humanType,
+  smallHumanMove,
+  typeMessage,
+  readComposer,
+  composerMatches,
+  normalizeMessageText,
+} from "../utils/human.js";
 import { saveSession, loadSession } from "../utils/session.js";
+import {
+  parseRecipient,
+  threadUrl,
+  profileLink,
+  nameMatches,
+} from "../utils/recipient.js";
+import {
+  parseConversationRow,
+  parseThreadRows,
+  pickMessage,
+  duplicatesOf,
+} from "../utils/messenger.js";
 // import { markBlocked, isBlocked } from "../utils/circuit.js";
 // import puppeteer from "puppeteer";
 
+// a conversation in Messenger's chat list (or anywhere else on the page)
+const CHAT_LINK = "a[href*='/messages/t/']";
+
+// "❤️" and "❤" are the same reaction
+const sameEmoji = (a, b) =>
+  (a || "").replace(/\uFE0F/g, "") === (b || "").replace(/\uFE0F/g, "");
+
+const bubbleText = (s) => (s || "").replace(/\s+/g, " ").trim();
+
+// what a sent text looks like in its bubble, cut to what countMessageBubbles()
+// looks for; by code point so an emoji isn't split into half a surrogate pair
+const bubbleProbe = (text) =>
+  Array.from(bubbleText(normalizeMessageText(text)))
+    .slice(0, 80)
+    .join("");
+
 export default class FacebookController {
   constructor(page, opts = {}) {
     if (!page || typeof page.goto !== "function")
@@ -15,8 +50,71 @@ export default class FacebookController {
     this.page = page;
     this.opts = opts;
     this.sessionName = opts.sessionName || "default";
-    this.minMessageIntervalMs = opts.minMessageIntervalMs || 1000 * 10;
+    this.minMessageIntervalMs = opts.minMessageIntervalMs ?? 1000 * 10;
     this._lastActionAt = 0;
+    // what we last saw of the account: launching, session_loaded, logged_in,
+    // checkpoint, logged_out (reported by /health/ready)
+    this.state = "launching";
+    this.lastSuccessAt = null;
+    // set by whoever runs a job to stream its steps; see progress()
+    this.onProgress = null;
+  }
+
+  // report a step of the running action (no-op unless onProgress is set);
+  // `screenshot: true` attaches a capture of the page at that moment
+  async progress(step, meta = {}, { screenshot = false } = {}) {
+    if (typeof this.onProgress !== "function") return;
+    const event = { step, at: new Date().toISOString(), ...meta };
+    if (screenshot) {
+      const shot = await captureScreenshot(this.page, `step-${step}`);
+      event.screenshot = shot.success ? shot.urlPath : null;
+    }
+    try {
+      this.onProgress(event);
+    } catch (e) {
+      logger.debug("progress listener failed", { err: e.message });
+    }
+  }
+
+  // short description of an element for dry-run reports; `highlight` outlines
+  // it so the screenshot shows what would have been clicked
+  async describeElement(handle, { highlight = false } = {}) {
+    if (!handle) return null;
+    try {
+      return await handle.evaluate((el, highlight) => {
+        if (highlight) {
+          el.scrollIntoView({ block: "center" });
+          el.style.outline = "3px solid #ef4444";
+        }
+        const attr = (name) =>
+          (el.getAttribute && el.getAttribute(name)) || null;
+        return {
+          tag: el.tagName.toLowerCase(),
+          role: attr("role"),
+          ariaLabel: attr("aria-label"),
+          href: attr("href"),
+          text: (el.innerText || "").trim().slice(0, 80) || null,
+        };
+      }, highlight);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  setState(state) {
+    if (this.state === state) return;
+    logger.info("Account state changed", {
+      sessionName: this.sessionName,
+      from: this.state,
+      to: state,
+    });
+    this.state = state;
+  }
+
+  // called after an action went through; proves the session works
+  markSuccess() {
+    this.setState("logged_in");
+    this.lastSuccessAt = new Date().toISOString();
   }
 
   // ensure we don't act too fast
@@ -33,9 +131,12 @@ export default class FacebookController {
   async initSession() {
     // call once at startup to load cookies/localStorage if available
     try {
-      await this.page.setViewport({ width: 1280, height: 800 });
+      await this.page.setViewportSize(
+        this.opts.viewport || { width: 1280, height: 800 }
+      );
       const loaded = await loadSession(this.page, this.sessionName);
       logger.info("Session loaded", loaded);
+      this.setState(loaded.ok ? "session_loaded" : "logged_out");
       return loaded;
     } catch (e) {
       logger.warn("Session init failed", e.message);
@@ -124,6 +225,7 @@ export default class FacebookController {
     // single attempt of the form submit
     const doLoginOnce = async () => {
       logger.info("Navigating to login page...");
+      await this.progress("login_page");
       await this.page.goto("https://www.facebook.com/login", {
         waitUntil: "domcontentloaded",
       });
@@ -157,11 +259,17 @@ export default class FacebookController {
       await humanType(this.page, "#email", email);
       await humanType(this.page, "#pass", password);
       await smallHumanMove(this.page);
+      await this.progress("credentials_typed");
 
       // submit and then wait for a clear outcome (we don't rely solely on waitForNavigation)
       await this.page.click("[name=login]");
 
       const outcome = await waitForLoginOutcome(20000);
+      await this.progress(
+        "login_outcome",
+        { outcome: outcome.outcome },
+        { screenshot: true }
+      );
       return outcome;
     };
 
@@ -171,12 +279,14 @@ export default class FacebookController {
         const outcome = await doLoginOnce();
 
         if (outcome.success || outcome.outcome === "success") {
+          this.markSuccess();
           await this.persistSession();
           logger.info("Login successful");
           return { success: true };
         }
 
         if (outcome.alreadyLoggedIn) {
+          this.markSuccess();
           await this.persistSession();
           logger.info("Already logged in (early return)");
           return { success: true, alreadyLoggedIn: true };
@@ -217,6 +327,7 @@ export default class FacebookController {
             continue;
           } else {
             logger.error("Max captcha retries reached. Giving up.");
+            this.setState("checkpoint");
             return {
               success: false,
               error: "captcha_detected",
@@ -231,6 +342,7 @@ export default class FacebookController {
             attempt,
             snippet: outcome.snippet,
           });
+          this.setState("logged_out");
           return {
             success: false,
             error: "invalid_credentials",
@@ -535,18 +647,58 @@ export default class FacebookController {
   //   }
   // }
 
-  async sendMessage(recipient, text, accountKey = this.sessionName) {
+  // dryRun: open the chat and locate the composer, but type nothing (typing
+  // alone shows "typing..." to the recipient) and don't press Enter.
+  // profileUrl picks the person instead of the bare name
+  async sendMessage(
+    recipient,
+    text,
+    accountKey = this.sessionName,
+    { dryRun = false, profileUrl, attachments = [] } = {}
+  ) {
     try {
-      logger.info("sendMessage start", { recipient });
+      if (profileUrl) recipient = profileUrl;
+      logger.info("sendMessage start", {
+        recipient,
+        dryRun,
+        attachments: attachments.length,
+      });
       await wait(1000 + Math.random() * 2000);
       await this.throttle();
 
-      // 1) Try messenger page first
-      logger.debug("Navigating to messenger...");
-      await this.page.goto("https://www.facebook.com/messages/t/", {
+      // 1) Messenger: straight to the thread when the recipient is exact,
+      // else the inbox to search from
+      const target = parseRecipient(recipient);
+      if (target.type === "invalid")
+        return {
+          success: false,
+          error: "invalid_recipient",
+          reason: target.reason,
+        };
+      const messengerUrl =
+        target.type === "name"
+          ? "https://www.facebook.com/messages/t/"
+          : threadUrl(target);
+      logger.debug("Navigating to messenger...", { url: messengerUrl });
+      await this.page.goto(messengerUrl, {
         waitUntil: "domcontentloaded",
       });
       logger.debug("Messenger page loaded", { url: this.page.url() });
+      await this.progress("messenger_loaded", { url: this.page.url() });
+
+      // checkpoint check (facebook redirects there when it wants verification)
+      if (/\/checkpoint/i.test(this.page.url())) {
+        logger.warn("Redirected to a checkpoint page", {
+          url: this.page.url(),
+        });
+        this.setState("checkpoint");
+        const shot = await captureScreenshot(this.page, "checkpoint");
+        return {
+          success: false,
+          error: "checkpoint",
+          screenshot: shot.success ? shot.urlPath : null,
+        };
+      }
 
       // login check
       const loginFields = await this.page.$(
@@ -556,6 +708,7 @@ export default class FacebookController {
         logger.warn(
           "Not logged in - login fields detected after visiting messenger"
         );
+        this.setState("logged_out");
         const shot = await captureScreenshot(this.page, "not-logged-in");
         return {
           success: false,
@@ -579,210 +732,29 @@ export default class FacebookController {
       //   };
       // }
 
-      // wait for messenger UI
-      logger.debug("Waiting for messenger UI container...");
-      await this.page
-        .waitForSelector("div[role='main'], div[role='dialog']", {
-          timeout: 15000,
-        })
-        .catch(() => {});
-      logger.debug("Messenger main container present");
-
-      // 2) Try messenger search input
-      const searchSelectors = [
-        'input[aria-label="Search Messenger"]',
-        'input[placeholder*="Search Messenger"]',
-        'input[placeholder*="Search"]',
-        'input[aria-label*="Search"]',
-        'input[type="search"]',
-        'input[role="combobox"]',
-      ];
-
-      let searchHandle = null;
-      let usedSearchSel = null;
-      for (const sel of searchSelectors) {
-        try {
-          const h = await this.page.$(sel);
-          if (h) {
-            searchHandle = h;
-            usedSearchSel = sel;
-            break;
-          }
-        } catch (e) {}
-      }
-
-      if (searchHandle) {
-        logger.info("Messenger search input found", {
-          selector: usedSearchSel,
-        });
-        await searchHandle.click({ clickCount: 3 }).catch(() => {});
-        await this.page.keyboard.press("Backspace").catch(() => {});
-        await humanType(this.page, searchHandle, recipient);
-        await this.page.keyboard.press("Enter").catch(() => {});
-        await wait(1200 + Math.random() * 2200);
-
-        // try to click result in messenger
-        logger.debug("Looking for messenger-side results...");
-        const recipientEscaped = JSON.stringify(recipient);
-
-        // messenger: look for clickable rows containing recipient
-        const rowXpath = `xpath=//div[@role='option' or @role='row' or @role='listitem']//span[contains(normalize-space(.), ${recipientEscaped})]`;
-        let rowSpans = await this.page.$$(rowXpath);
-
-        if (rowSpans && rowSpans.length > 0) {
-          logger.info("Found messenger-side result rows", {
-            count: rowSpans.length,
-          });
-          // click clickable ancestor for the first match
-          let opened = false;
-          for (const span of rowSpans) {
-            try {
-              const ancestorHandle = await span.evaluateHandle((el) =>
-                el.closest(
-                  '[role="option"], [role="row"], [role="listitem"], a, button'
-                )
-              );
-              const ancestorEl =
-                ancestorHandle && ancestorHandle.asElement
-                  ? ancestorHandle.asElement()
-                  : null;
-              if (ancestorEl) {
-                await ancestorEl.click().catch(() => {});
-                opened = true;
-                logger.debug("Clicked result ancestor in messenger");
-                break;
-              } else {
-                await span.click().catch(() => {});
-                opened = true;
-                logger.debug("Clicked span fallback in messenger");
-                break;
-              }
-            } catch (e) {
-              logger.debug("Click attempt on messenger candidate failed", {
-                err: e.message,
-              });
-            }
-          }
-
-          if (opened) {
-            logger.info("Opened chat via messenger result");
-            // continue to message input detection below
-          } else {
-            logger.debug("Failed to open chat from messenger rows");
-          }
-        } else {
-          logger.debug("No messenger-side rows matched exact recipient");
-        }
+      let chatPath = "direct";
+      let matched = null;
+      if (target.type === "name") {
+        const opened = await this.openChatBySearch(recipient);
+        if (opened.success === false) return opened;
+        ({ chatPath, matched } = opened);
       } else {
-        logger.debug(
-          "No messenger search input found; will try global search fallback"
-        );
-      }
-
-      // 3) If chat not opened by messenger search, try global search results page
-      // Check if chat input is present already (maybe opened)
-      let inputExists = await this.page.$(
-        "div[contenteditable='true'][role='textbox'], div[aria-label='Message']"
-      );
-      if (!inputExists) {
-        logger.debug(
-          "Message input not present yet; attempting global search page fallback"
-        );
-
-        // Go to facebook search results for the recipient
-        const searchUrl = `https://www.facebook.com/search/top?q=${encodeURIComponent(
-          recipient
-        )}`;
-        logger.debug("Navigating to global search results", { url: searchUrl });
+        // an exact ID opens the thread itself; a bare /messages/t/ means
+        // facebook didn't know it and dropped us on the inbox
         await this.page
-          .goto(searchUrl, { waitUntil: "domcontentloaded" })
+          .waitForSelector("div[role='main']", { timeout: 15000 })
           .catch(() => {});
-        await wait(1200 + Math.random() * 1600);
-
-        logger.debug(
-          "Searching for profile cards containing recipient name..."
-        );
-        const recipientEscaped = JSON.stringify(recipient);
-        // Find card elements that contain the recipient name (broad)
-        const cardXpath = `xpath=//div[.//span[contains(normalize-space(.), ${recipientEscaped})] or .//a//span[contains(normalize-space(.), ${recipientEscaped})]]`;
-        const cards = await this.page.$$(cardXpath);
-
-        logger.debug("Candidate profile cards found count", {
-          count: cards.length,
-        });
-
-        let clicked = false;
-        if (cards && cards.length > 0) {
-          for (const card of cards) {
-            try {
-              // Look for clickable elements inside the card that indicate "Message" or have messages href
-              const candidates = await card.$$(
-                'a, button, div[role="button"], span[role="button"]'
-              );
-              for (const c of candidates) {
-                try {
-                  const txt = (
-                    await c.evaluate((el) => (el.innerText || "").toLowerCase())
-                  ).trim();
-                  const href = await c.evaluate((el) =>
-                    el.getAttribute ? el.getAttribute("href") || "" : ""
-                  );
-                  if (
-                    txt &&
-                    (txt.includes("پیام") ||
-                      txt.includes("message") ||
-                      txt.includes("send message") ||
-                      txt.includes("پیغام"))
-                  ) {
-                    logger.info(
-                      "Clicking message-like button inside profile card",
-                      { text: txt.slice(0, 60) }
-                    );
-                    await c.click().catch(() => {});
-                    clicked = true;
-                    break;
-                  }
-                  if (href && href.includes("/messages/t/")) {
-                    logger.info("Clicking messages href inside profile card", {
-                      href,
-                    });
-                    await c.click().catch(() => {});
-                    clicked = true;
-                    break;
-                  }
-                } catch (e) {
-                  // ignore candidate failure
-                }
-              }
-              if (clicked) break;
-            } catch (e) {
-              logger.debug(
-                "Error while scanning a profile card for message button",
-                { err: e.message }
-              );
-            }
-          }
-        }
-
-        if (!clicked) {
-          logger.warn(
-            "No clickable 'Message' button found in global search results"
-          );
-          const shot = await captureScreenshot(this.page, "no-clickable-row");
+        if (!/\/messages\/t\/[^/?#]+/.test(this.page.url())) {
+          const shot = await captureScreenshot(this.page, "thread-not-found");
           return {
             success: false,
-            error: "no_clickable_row",
+            error: "thread_not_found",
             screenshot: shot.success ? shot.urlPath : null,
           };
         }
-
-        logger.info(
-          "Clicked 'Message' on global search result, waiting for chat to open"
-        );
-        await wait(800 + Math.random() * 1200);
-      } else {
-        logger.debug("Message input already present (chat likely open)");
+        await this.progress("direct_thread", { url: this.page.url() });
       }
+
       // ========================================================
       // 4) Locate message input in chat area
       // logger.debug("Locating message input in chat dialog...");
@@ -834,19 +806,113 @@ export default class FacebookController {
         };
       }
       logger.info("Found message input (will focus and type)...");
+      await this.progress("input_located", {}, { screenshot: true });
+
+      // the picker's <input type=file>, located before anything is typed
+      let fileInput = null;
+      if (attachments.length) {
+        fileInput = await this.findFileInput();
+        if (!fileInput) {
+          const shot = await captureScreenshot(this.page, "no-file-input");
+          return {
+            success: false,
+            error: "no_file_input",
+            screenshot: shot.success ? shot.urlPath : null,
+          };
+        }
+      }
+
+      if (dryRun) {
+        const composer = await this.describeElement(messageHandle, {
+          highlight: true,
+        });
+        const fileTarget = fileInput
+          ? await this.describeElement(fileInput)
+          : null;
+        const shot = await captureScreenshot(this.page, "dry-run-message");
+        logger.info("sendMessage dry run finished", { recipient, chatPath });
+        await this.progress("dry_run", { path: chatPath });
+        return {
+          success: true,
+          dryRun: true,
+          path: chatPath,
+          matched,
+          target: composer,
+          attachmentTarget: fileTarget,
+          attachments: attachments.map(({ filename, size }) => ({
+            filename,
+            size,
+          })),
+          screenshot: shot.success ? shot.urlPath : null,
+        };
+      }
 
       // ===========================
 
-      // 5) Type and send the message (human-like)
-      await messageHandle.focus();
-      await smallHumanMove(this.page);
-      logger.debug("Typing message...");
-      await humanType(this.page, messageHandle, text);
+      // 5) Attach files, wait until every preview has finished uploading
+      const attachedBefore = await this.countAttachmentBubbles();
+      if (attachments.length) {
+        logger.debug("Attaching files...", { count: attachments.length });
+        await fileInput.setInputFiles(attachments.map((a) => a.path));
+        const ready = await this.waitForAttachmentPreviews(attachments.length);
+        if (!ready) {
+          const shot = await captureScreenshot(this.page, "attachment-upload");
+          return {
+            success: false,
+            error: "attachment_upload_timeout",
+            screenshot: shot.success ? shot.urlPath : null,
+          };
+        }
+        await this.progress(
+          "attachments_ready",
+          { count: attachments.length },
+          { screenshot: true }
+        );
+      }
+
+      // 6) Type the message (or the caption) human-like and send it
+      let probe = null;
+      let before = 0;
+      if (text) {
+        const typed = await this.typeIntoComposer(messageHandle, text);
+        if (typed.success === false) return typed;
+        // bubbles already showing this text (e.g. the same message sent
+        // earlier) must not count as the new one
+        probe = bubbleProbe(text);
+        before = await this.countMessageBubbles(probe);
+      }
       await this.page.keyboard.press("Enter");
       await wait(400 + Math.random() * 700);
       logger.info("Message typed and sent");
+      await this.progress("sent", {}, { screenshot: true });
+
+      // a caption shows up as a text bubble; files alone as a new media row
+      const delivery = await this.confirmDelivery(
+        probe
+          ? async () => (await this.countMessageBubbles(probe)) > before
+          : async () => (await this.countAttachmentBubbles()) > attachedBefore
+      );
+      const threadId = this.currentThreadId();
+      if (!delivery.confirmed) {
+        logger.warn("Sent message did not show up in the thread", {
+          recipient,
+          threadId,
+          deliveryState: delivery.deliveryState,
+        });
+        const shot = await captureScreenshot(this.page, "not-confirmed");
+        return {
+          success: false,
+          error: "message_not_confirmed",
+          threadId,
+          deliveryState: delivery.deliveryState,
+          screenshot: shot.success ? shot.urlPath : null,
+        };
+      }
+      await this.progress("delivery_confirmed", {
+        deliveryState: delivery.deliveryState,
+      });
 
-      // 6) Final captcha check
+      // 7) Final captcha check
       // const captchaAfter = await detectCaptcha(this.page);
       // if (captchaAfter.detected) {
       //   logger.warn("Captcha detected after sending", { detail: captchaAfter });
@@ -859,10 +925,22 @@ export default class FacebookController {
       //   };
       // }
 
-      // 7) Persist session & success
+      // 8) Persist session & success
+      this.markSuccess();
       await this.persistSession();
-      logger.info("sendMessage success", { recipient });
-      return { success: true };
+      logger.info("sendMessage success", {
+        recipient,
+        threadId,
+        deliveryState: delivery.deliveryState,
+      });
+      return {
+        success: true,
+        threadId,
+        // when the bubble appeared; facebook doesn't expose its own time
+        timestamp: delivery.timestamp,
+        deliveryState: delivery.deliveryState,
+        attachments: attachments.map((a) => a.filename),
+      };
     } catch (err) {
       logger.error("sendMessage exception", {
         error: err.message,
@@ -972,19 +1050,36 @@ export default class FacebookController {
   //   }
   // }
 
-  async sendFriendRequest(profileName) {
+  // dryRun: find the "Add friend" button but don't click it. With
+  // profileUrl the button on that profile page is used
+  async sendFriendRequest(profileName, { dryRun = false, profileUrl } = {}) {
     try {
-      logger.info("sendFriendRequest start", { profileName });
+      logger.info("sendFriendRequest start", { profileName, dryRun });
       await wait(1000 + Math.random() * 2000);
+      // a profile URL / @username / user ID as the recipient works too
+      const exact = profileLink(profileUrl || profileName);
+      const targetUrl = (exact && exact.profileUrl) || null;
+      if (exact && !targetUrl)
+        return {
+          status: "failed",
+          error: "recipient_has_no_profile",
+          recipient: profileName,
+        };
       await this.throttle();
 
-      // 1) Go to search page for the profile
-      const searchUrl = `https://www.facebook.com/search/top?q=${encodeURIComponent(
-        profileName
-      )}`;
+      // 1) Go to the profile when we know it, else the search page
+      const searchUrl =
+        targetUrl ||
+        `https://www.facebook.com/search/top?q=${encodeURIComponent(
+          profileName
+        )}`;
+      const friendPath = targetUrl ? "profile" : "global_search";
       logger.debug("Navigating to search results", { url: searchUrl });
       await this.page.goto(searchUrl, { waitUntil: "domcontentloaded" });
       await wait(1500 + Math.random() * 1500);
+      await this.progress(targetUrl ? "profile_loaded" : "search_loaded", {
+        url: searchUrl,
+      });
 
       // 2) Look for candidate profile cards
       const profileEscaped = JSON.stringify(profileName);
@@ -1008,6 +1103,7 @@ export default class FacebookController {
 
       if (!addFriendBtn) {
         logger.error("No 'Add friend' button found");
+        await this.progress("add_friend_missing", {}, { screenshot: true });
         return {
           status: "failed",
           message: "No 'Add friend' button found",
@@ -1015,10 +1111,31 @@ export default class FacebookController {
         };
       }
 
+      if (dryRun) {
+        const target = await this.describeElement(addFriendBtn, {
+          highlight: true,
+        });
+        const shot = await captureScreenshot(this.page, "dry-run-friend");
+        logger.info("sendFriendRequest dry run finished", { profileName });
+        await this.progress("dry_run", { path: friendPath });
+        return {
+          status: "success",
+          message: "Dry run: 'Add friend' button found, not clicked",
+          error: null,
+          dryRun: true,
+          path: friendPath,
+          matches: cards.length,
+          target,
+          screenshot: shot.success ? shot.urlPath : null,
+          profile: profileName,
+        };
+      }
+
       // Click it
       await addFriendBtn.click();
       logger.info("Clicked 'Add friend' button");
       await wait(1500 + Math.random() * 1000);
+      await this.progress("add_friend_clicked", {}, { screenshot: true });
 
       // // 3) Click the first candidate
       // logger.info("Clicking profile from search results");
@@ -1043,6 +1160,7 @@ export default class FacebookController {
 
       if (alreadyFriend) {
         logger.info("User is already a friend", { profileName });
+        this.markSuccess();
         return {
           status: "success",
           message: "Already friends with this user",
@@ -1067,10 +1185,6 @@ export default class FacebookController {
       //   };
       // }
 
-      await addFriendButtons[0].click();
-      logger.info("Clicked 'Add Friend' button", { profileName });
-      await wait(1000 + Math.random() * 1500);
-
       // 6) Confirm request was sent
       let requestConfirmed = false;
       try {
@@ -1091,6 +1205,7 @@ export default class FacebookController {
         logger.debug("Could not confirm request visually", { err: e.message });
       }
 
+      this.markSuccess();
       await this.persistSession();
 
       return {
@@ -1126,6 +1241,1432 @@ export default class FacebookController {
     }
   }
 
+  /**
+   * Open the chat with a display name from the messenger page: messenger
+   * search first, then the first card on /search/top with a "Message" button.
+   * Resolves to { chatPath, matched } or to a failed sendMessage result.
+   */
+  async openChatBySearch(recipient) {
+    // how the chat got opened and the element clicked to open it
+    let chatPath = null;
+    let matched = null;
+
+    // wait for messenger UI
+    logger.debug("Waiting for messenger UI container...");
+    await this.page
+      .waitForSelector("div[role='main'], div[role='dialog']", {
+        timeout: 15000,
+      })
+      .catch(() => {});
+    logger.debug("Messenger main container present");
+
+    // 2) Try messenger search input
+    const searchSelectors = [
+      'input[aria-label="Search Messenger"]',
+      'input[placeholder*="Search Messenger"]',
+      'input[placeholder*="Search"]',
+      'input[aria-label*="Search"]',
+      'input[type="search"]',
+      'input[role="combobox"]',
+    ];
+
+    let searchHandle = null;
+    let usedSearchSel = null;
+    for (const sel of searchSelectors) {
+      try {
+        const h = await this.page.$(sel);
+        if (h) {
+          searchHandle = h;
+          usedSearchSel = sel;
+          break;
+        }
+      } catch (e) {}
+    }
+
+    if (searchHandle) {
+      logger.info("Messenger search input found", {
+        selector: usedSearchSel,
+      });
+      await searchHandle.click({ clickCount: 3 }).catch(() => {});
+      await this.page.keyboard.press("Backspace").catch(() => {});
+      await humanType(this.page, searchHandle, recipient);
+      await this.page.keyboard.press("Enter").catch(() => {});
+      await this.progress("messenger_search", { selector: usedSearchSel });
+      await wait(1200 + Math.random() * 2200);
+
+      // try to click result in messenger
+      logger.debug("Looking for messenger-side results...");
+      const recipientEscaped = JSON.stringify(recipient);
+
+      // messenger: look for clickable rows containing recipient
+      const rowXpath = `xpath=//div[@role='option' or @role='row' or @role='listitem']//span[contains(normalize-space(.), ${recipientEscaped})]`;
+      let rowSpans = await this.page.$$(rowXpath);
+
+      if (rowSpans && rowSpans.length > 0) {
+        logger.info("Found messenger-side result rows", {
+          count: rowSpans.length,
+        });
+        // click clickable ancestor for the first match
+        let opened = false;
+        for (const span of rowSpans) {
+          try {
+            const ancestorHandle = await span.evaluateHandle((el) =>
+              el.closest(
+                '[role="option"], [role="row"], [role="listitem"], a, button'
+              )
+            );
+            const ancestorEl =
+              ancestorHandle && ancestorHandle.asElement
+                ? ancestorHandle.asElement()
+                : null;
+            if (ancestorEl) {
+              matched = await this.describeElement(ancestorEl);
+              await ancestorEl.click().catch(() => {});
+              opened = true;
+              logger.debug("Clicked result ancestor in messenger");
+              break;
+            } else {
+              matched = await this.describeElement(span);
+              await span.click().catch(() => {});
+              opened = true;
+              logger.debug("Clicked span fallback in messenger");
+              break;
+            }
+          } catch (e) {
+            logger.debug("Click attempt on messenger candidate failed", {
+              err: e.message,
+            });
+          }
+        }
+
+        if (opened) {
+          chatPath = "messenger_search";
+          logger.info("Opened chat via messenger result");
+          await this.progress("row_matched", { count: rowSpans.length });
+          // continue to message input detection below
+        } else {
+          logger.debug("Failed to open chat from messenger rows");
+        }
+      } else {
+        logger.debug("No messenger-side rows matched exact recipient");
+      }
+    } else {
+      logger.debug(
+        "No messenger search input found; will try global search fallback"
+      );
+    }
+
+    // 3) If chat not opened by messenger search, try global search results page
+    // Check if chat input is present already (maybe opened)
+    let inputExists = await this.page.$(
+      "div[contenteditable='true'][role='textbox'], div[aria-label='Message']"
+    );
+    if (!inputExists) {
+      logger.debug(
+        "Message input not present yet; attempting global search page fallback"
+      );
+
+      // Go to facebook search results for the recipient
+      const searchUrl = `https://www.facebook.com/search/top?q=${encodeURIComponent(
+        recipient
+      )}`;
+      logger.debug("Navigating to global search results", { url: searchUrl });
+      await this.progress("global_search_fallback", { url: searchUrl });
+      await this.page
+        .goto(searchUrl, { waitUntil: "domcontentloaded" })
+        .catch(() => {});
+      await wait(1200 + Math.random() * 1600);
+
+      logger.debug("Searching for profile cards containing recipient name...");
+      const recipientEscaped = JSON.stringify(recipient);
+      // Find card elements that contain the recipient name (broad)
+      const cardXpath = `xpath=//div[.//span[contains(normalize-space(.), ${recipientEscaped})] or .//a//span[contains(normalize-space(.), ${recipientEscaped})]]`;
+      const cards = await this.page.$$(cardXpath);
+
+      logger.debug("Candidate profile cards found count", {
+        count: cards.length,
+      });
+
+      let clicked = false;
+      if (cards && cards.length > 0) {
+        for (const card of cards) {
+          try {
+            // Look for clickable elements inside the card that indicate "Message" or have messages href
+            const candidates = await card.$$(
+              'a, button, div[role="button"], span[role="button"]'
+            );
+            for (const c of candidates) {
+              try {
+                const txt = (
+                  await c.evaluate((el) => (el.innerText || "").toLowerCase())
+                ).trim();
+                const href = await c.evaluate((el) =>
+                  el.getAttribute ? el.getAttribute("href") || "" : ""
+                );
+                if (
+                  txt &&
+                  (txt.includes("پیام") ||
+                    txt.includes("message") ||
+                    txt.includes("send message") ||
+                    txt.includes("پیغام"))
+                ) {
+                  logger.info(
+                    "Clicking message-like button inside profile card",
+                    { text: txt.slice(0, 60) }
+                  );
+                  matched = await this.describeElement(c);
+                  await c.click().catch(() => {});
+                  clicked = true;
+                  break;
+                }
+                if (href && href.includes("/messages/t/")) {
+                  logger.info("Clicking messages href inside profile card", {
+                    href,
+                  });
+                  matched = await this.describeElement(c);
+                  await c.click().catch(() => {});
+                  clicked = true;
+                  break;
+                }
+              } catch (e) {
+                // ignore candidate failure
+              }
+            }
+            if (clicked) break;
+          } catch (e) {
+            logger.debug(
+              "Error while scanning a profile card for message button",
+              { err: e.message }
+            );
+          }
+        }
+      }
+
+      if (!clicked) {
+        logger.warn(
+          "No clickable 'Message' button found in global search results"
+        );
+        const shot = await captureScreenshot(this.page, "no-clickable-row");
+        return {
+          success: false,
+          error: "no_clickable_row",
+          screenshot: shot.success ? shot.urlPath : null,
+        };
+      }
+
+      logger.info(
+        "Clicked 'Message' on global search result, waiting for chat to open"
+      );
+      chatPath = "global_search";
+      await this.progress("global_search_clicked");
+      await wait(800 + Math.random() * 1200);
+    } else {
+      logger.debug("Message input already present (chat likely open)");
+      // nothing matched the recipient; whatever thread was open is used
+      if (!chatPath) chatPath = "open_thread";
+    }
+    return { chatPath, matched };
+  }
+
+  // checkpoint / login form where the page should be; a failed result or null
+  async accountBlocked() {
+    if (/\/checkpoint/i.test(this.page.url())) {
+      this.setState("checkpoint");
+      const shot = await captureScreenshot(this.page, "checkpoint");
+      return {
+        success: false,
+        error: "checkpoint",
+        screenshot: shot.success ? shot.urlPath : null,
+      };
+    }
+    const loginFields = await this.page.$(
+      "#email, input[name='email'], input[type='password']"
+    );
+    if (loginFields) {
+      this.setState("logged_out");
+      const shot = await captureScreenshot(this.page, "not-logged-in");
+      return {
+        success: false,
+        error: "not_logged_in",
+        screenshot: shot.success ? shot.urlPath : null,
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Everyone a name could mean: Messenger search rows plus people-search
+   * results whose name matches it (see nameMatches), merged per profile.
+   * Each candidate has its `index` and `recipient`, an exact recipient
+   * (profile URL or thread:<id>) to send to instead of the name; it stays
+   * valid whatever a later search returns.
+   */
+  async resolveRecipient(name) {
+    try {
+      logger.info("resolveRecipient start", { name });
+      await this.throttle();
+      const candidates = [];
+      const add = (found, source) => {
+        const link = profileLink(found.href);
+        // search pages list suggestions and recent chats next to the hits
+        if (!link || !found.name || !nameMatches(name, found.name)) return;
+        const existing = candidates.find(
+          (c) =>
+            (link.userId && c.userId === link.userId) ||
+            (link.username && c.username === link.username) ||
+            (link.threadId && c.threadId === link.threadId) ||
+            // 1:1 threads are keyed by the other person's user ID
+            (link.threadId && c.userId === link.threadId) ||
+            (link.userId && c.threadId === link.userId)
+        );
+        if (existing) {
+          for (const [k, v] of Object.entries(link))
+            if (v && !existing[k]) existing[k] = v;
+          if (!existing.avatarUrl) existing.avatarUrl = found.avatarUrl;
+          if (existing.isFriend === null) existing.isFriend = found.isFriend;
+          existing.hasThread = existing.hasThread || source === "messenger";
+          if (!existing.sources.includes(source)) existing.sources.push(source);
+          return;
+        }
+        candidates.push({
+          name: found.name,
+          ...link,
+          avatarUrl: found.avatarUrl || null,
+          isFriend: found.isFriend ?? null,
+          // Messenger search lists people you already have a chat with
+          hasThread: source === "messenger",
+          sources: [source],
+        });
+      };
+
+      // 1) Messenger search
+      await this.page.goto("https://www.facebook.com/messages/t/", {
+        waitUntil: "domcontentloaded",
+      });
+      const blocked = await this.accountBlocked();
+      if (blocked) return blocked;
+      await this.page
+        .waitForSelector("div[role='main']", { timeout: 15000 })
+        .catch(() => {});
+      const searchHandle = await this.page.$(
+        'input[aria-label*="Search"], input[placeholder*="Search"], input[type="search"]'
+      );
+      if (searchHandle) {
+        await searchHandle.click({ clickCount: 3 }).catch(() => {});
+        await this.page.keyboard.press("Backspace").catch(() => {});
+        await humanType(this.page, searchHandle, name);
+        await wait(1500 + Math.random() * 1500);
+        const rows = await this.page.$$eval(
+          "[role='option'], [role='row'], [role='listitem']",
+          (els) =>
+            els.map((el) => {
+              const a = el.querySelector("a[href]") || el.closest("a[href]");
+              const img = el.querySelector("img, image");
+              const lines = (el.innerText || "")
+                .split("\n")
+                .map((s) => s.trim())
+                .filter(Boolean);
+              return {
+                href: a ? a.href : null,
+                name: lines[0] || null,
+                avatarUrl: img
+                  ? img.getAttribute("src") || img.getAttribute("xlink:href")
+                  : null,
+              };
+            })
+        );
+        for (const row of rows) add(row, "messenger");
+      }
+      await this.progress("messenger_candidates", {
+        count: candidates.length,
+      });
+
+      // 2) People search
+      const searchUrl = `https://www.facebook.com/search/people/?q=${encodeURIComponent(
+        name
+      )}`;
+      await this.page
+        .goto(searchUrl, { waitUntil: "domcontentloaded" })
+        .catch(() => {});
+      await this.page
+        .waitForSelector("div[role='feed']", { timeout: 15000 })
+        .catch(() => {});
+      await wait(1000 + Math.random() * 1000);
+      const people = await this.page.$$eval(
+        "div[role='feed'] [role='article'], div[role='feed'] > div",
+        (els) =>
+          els.map((el) => {
+            const a = Array.from(el.querySelectorAll("a[href]")).find(
+              (x) => (x.innerText || "").trim() && !x.href.includes("/search/")
+            );
+            const img = el.querySelector("image, img");
+            const buttons = Array.from(
+              el.querySelectorAll("[role='button'], a")
+            ).map((b) =>
+              (b.getAttribute("aria-label") || b.innerText || "").toLowerCase()
+            );
+            const has = (...words) =>
+              buttons.some((t) => words.some((w) => t.includes(w)));
+            let isFriend = null;
+            if (has("add friend", "افزودن دوست")) isFriend = false;
+            else if (has("friends", "دوستان")) isFriend = true;
+            return {
+              href: a ? a.href : null,
+              name: a ? a.innerText.trim().split("\n")[0] : null,
+              avatarUrl: img
+                ? img.getAttribute("xlink:href") || img.getAttribute("src")
+                : null,
+              isFriend,
+            };
+          })
+      );
+      for (const person of people) add(person, "people");
+      await this.progress("people_candidates", { count: candidates.length });
+
+      const out = candidates.map((c, index) => ({
+        index,
+        ...c,
+        recipient: c.profileUrl || `thread:${c.threadId}`,
+      }));
+      logger.info("resolveRecipient done", { name, count: out.length });
+      return { success: true, query: name, candidates: out };
+    } catch (err) {
+      logger.error("resolveRecipient exception", { error: err.message });
+      const shot = await captureScreenshot(
+        this.page,
+        "resolveRecipient-exception"
+      ).catch(() => ({}));
+      return {
+        success: false,
+        error: err.message,
+        screenshot: shot.success ? shot.urlPath : null,
+      };
+    }
+  }
+
+  /**
+   * The account's chat list, newest first, as parseConversationRow() entries
+   * plus `archived`. Scrolls the list until `limit` matching threads after
+   * `cursor` (a threadId from the previous page's nextCursor) are loaded.
+   * `since` (ISO) drops threads whose last message is older; `folder` is
+   * "inbox" or "archived".
+   */
+  async getConversations({
+    limit = 20,
+    cursor = null,
+    unreadOnly = false,
+    since = null,
+    folder = "inbox",
+  } = {}) {
+    try {
+      logger.info("getConversations start", {
+        limit,
+        cursor,
+        unreadOnly,
+        since,
+        folder,
+      });
+      await this.throttle();
+      await this.page.goto(
+        folder === "archived"
+          ? "https://www.facebook.com/messages/archived/"
+          : "https://www.facebook.com/messages/t/",
+        { waitUntil: "domcontentloaded" }
+      );
+      const blocked = await this.accountBlocked();
+      if (blocked) return blocked;
+      await this.page
+        .waitForSelector(CHAT_LINK, { timeout: 15000 })
+        .catch(() => {});
+
+      const sinceMs = since ? Date.parse(since) : null;
+      const matches = (c) =>
+        (!unreadOnly || c.unread) &&
+        (sinceMs === null ||
+          (c.lastMessage.timestamp &&
+            Date.parse(c.lastMessage.timestamp) >= sinceMs));
+      const now = new Date();
+      const threads = new Map(); // threadId -> conversation, in list order
+      let page = [];
+      let ended = false;
+      let idle = 0;
+      for (let round = 0; round < 25; round++) {
+        const { rows, tzOffset } = await this.scrapeChatList();
+        let added = 0;
+        for (const raw of rows) {
+          const c = parseConversationRow(raw, now, tzOffset);
+          if (!c || threads.has(c.threadId)) continue;
+          threads.set(c.threadId, { ...c, archived: folder === "archived" });
+          added++;
+        }
+        const list = [...threads.values()];
+        const start = cursor
+          ? list.findIndex((c) => c.threadId === cursor) + 1
+          : 0;
+        if (!cursor || start > 0) {
+          page = list.slice(start).filter(matches);
+          // newest first: past `since`, nothing further down can match
+          const oldest = list.length
+            ? list[list.length - 1].lastMessage.timestamp
+            : null;
+          if (sinceMs !== null && oldest && Date.parse(oldest) < sinceMs) {
+            ended = true;
+            break;
+          }
+          if (page.length > limit) break;
+        }
+        idle = added ? 0 : idle + 1;
+        if (idle >= 3) {
+          ended = true;
+          break;
+        }
+        await this.scrollChatList();
+        await wait(800 + Math.random() * 700);
+      }
+      if (cursor && !threads.has(cursor))
+        return { success: false, error: "cursor_not_found", cursor };
+
+      const conversations = page.slice(0, limit);
+      const more = page.length > limit || (!ended && conversations.length);
+      await this.progress("conversations_listed", {
+        count: conversations.length,
+      });
+      logger.info("getConversations done", {
+        count: conversations.length,
+        scanned: threads.size,
+      });
+      return {
+        success: true,
+        folder,
+        conversations,
+        nextCursor: more
+          ? conversations[conversations.length - 1].threadId
+          : null,
+      };
+    } catch (err) {
+      logger.error("getConversations exception", { error: err.message });
+      const shot = await captureScreenshot(
+        this.page,
+        "getConversations-exception"
+      ).catch(() => ({}));
+      return {
+        success: false,
+        error: err.message,
+        screenshot: shot.success ? shot.urlPath : null,
+      };
+    }
+  }
+
+  // raw rows of the chat list (not links inside the open thread) and the
+  // browser's UTC offset, which the time labels are in
+  async scrapeChatList() {
+    return this.page.evaluate((selector) => {
+      const main = document.querySelector("div[role='main']");
+      const rows = [];
+      const seen = new Set();
+      for (const a of document.querySelectorAll(selector)) {
+        if (main && main.contains(a)) continue;
+        const row = a.closest("[role='row'], [role='listitem']") || a;
+        if (seen.has(row)) continue;
+        seen.add(row);
+        const lines = (row.innerText || "")
+          .split("\n")
+          .map((s) => s.trim())
+          .filter(Boolean);
+        const labels = Array.from(row.querySelectorAll("[aria-label]"))
+          .concat(a)
+          .map((el) => (el.getAttribute("aria-label") || "").toLowerCase());
+        // an unread thread's snippet is bold
+        const bold = Array.from(row.querySelectorAll("span")).some(
+          (el) =>
+            lines[1] &&
+            (el.innerText || "").trim() === lines[1] &&
+            Number(getComputedStyle(el).fontWeight) >= 600
+        );
+        rows.push({
+          href: a.href,
+          lines,
+          unread: bold || labels.some((l) => /unread|خوانده نشده/.test(l)),
+          muted: labels.some((l) => /\bmuted\b|بی‌صدا/.test(l)),
+          avatars: row.querySelectorAll("img, svg image").length,
+        });
+      }
+      return { rows, tzOffset: new Date().getTimezoneOffset() };
+    }, CHAT_LINK);
+  }
+
+  // scroll the chat list down one screen's worth of threads; false at the end
+  async scrollChatList() {
+    return this.page
+      .evaluate((selector) => {
+        const main = document.querySelector("div[role='main']");
+        const a = Array.from(document.querySelectorAll(selector)).find(
+          (x) => !(main && main.contains(x))
+        );
+        let el = a && a.parentElement;
+        while (
+          el &&
+          !(
+            el.scrollHeight > el.clientHeight + 10 &&
+            /(auto|scroll)/.test(getComputedStyle(el).overflowY)
+          )
+        )
+          el = el.parentElement;
+        if (!el) return false;
+        const before = el.scrollTop;
+        el.scrollTop = el.scrollHeight;
+        return el.scrollTop > before;
+      }, CHAT_LINK)
+      .catch(() => false);
+  }
+
+  /**
+   * History of one thread, oldest first (see parseThreadRows). The thread is
+   * a thread ID, any exact recipient or a name to search for. Scrolls up
+   * until `limit` messages older than `before` (a message id from an
+   * earlier page's nextBefore, or an ISO time) are loaded or the
+   * conversation starts.
+   */
+  async getThreadMessages(threadIdOrRecipient, { limit = 50, before } = {}) {
+    try {
+      logger.info("getThreadMessages start", {
+        thread: threadIdOrRecipient,
+        limit,
+        before,
+      });
+      const opened = await this.openThread(threadIdOrRecipient);
+      if (opened.success === false) return opened;
+      const { threadId } = opened;
+
+      const beforeMs =
+        before && !Number.isNaN(Date.parse(before)) ? Date.parse(before) : null;
+      const now = new Date();
+      let messages = [];
+      let eligible = [];
+      let anchored = [];
+      let reachedStart = false;
+      let idle = 0;
+      for (let round = 0; round < 40; round++) {
+        const { rows, tzOffset } = await this.scrapeThread();
+        const count = messages.length;
+        messages = parseThreadRows(rows, { threadId, now, tzOffset });
+        let end = messages.length;
+        if (beforeMs !== null)
+          end = messages.filter(
+            (m) => !m.timestamp || Date.parse(m.timestamp) < beforeMs
+          ).length;
+        else if (before) end = messages.findIndex((m) => m.id === before);
+        eligible = end === -1 ? [] : messages.slice(0, end);
+        // above the first loaded divider ids are not settled yet
+        anchored = eligible.filter((m) => m.timeLabel);
+        if (end !== -1 && anchored.length > limit) break;
+        idle = messages.length > count ? 0 : idle + 1;
+        if (idle >= 3) {
+          reachedStart = true;
+          break;
+        }
+        await this.scrollThreadUp();
+        await wait(1000 + Math.random() * 1000);
+      }
+      if (before && beforeMs === null && !messages.some((m) => m.id === before))
+        return { success: false, error: "message_not_found", before };
+
+      const settled = reachedStart ? eligible : anchored;
+      const page = settled.slice(-limit);
+      const more = settled.length > limit || (!reachedStart && page.length);
+      await this.progress("messages_read", { count: page.length });
+      logger.info("getThreadMessages done", {
+        threadId,
+        count: page.length,
+        loaded: messages.length,
+      });
+      return {
+        success: true,
+        threadId,
+        messages: page,
+        nextBefore: more ? page[0].id : null,
+      };
+    } catch (err) {
+      logger.error("getThreadMessages exception", { error: err.message });
+      const shot = await captureScreenshot(
+        this.page,
+        "getThreadMessages-exception"
+      ).catch(() => ({}));
+      return {
+        success: false,
+        error: err.message,
+        screenshot: shot.success ? shot.urlPath : null,
+      };
+    }
+  }
+
+  // go to a thread by ID, exact recipient or name; { threadId } or a failed
+  // result
+  async openThread(threadIdOrRecipient) {
+    const target = parseRecipient(
+      /^\d+$/.test(threadIdOrRecipient)
+        ? `thread:${threadIdOrRecipient}`
+        : threadIdOrRecipient
+    );
+    if (target.type === "invalid")
+      return {
+        success: false,
+        error: "invalid_recipient",
+        reason: target.reason,
+      };
+    await this.throttle();
+    await this.page.goto(
+      target.type === "name"
+        ? "https://www.facebook.com/messages/t/"
+        : threadUrl(target),
+      { waitUntil: "domcontentloaded" }
+    );
+    const blocked = await this.accountBlocked();
+    if (blocked) return blocked;
+    if (target.type === "name") {
+      const opened = await this.openChatBySearch(target.name);
+      if (opened.success === false) return opened;
+    }
+    await this.page
+      .waitForSelector("div[role='main'] [role='row']", { timeout: 15000 })
+      .catch(() => {});
+    const threadId = this.currentThreadId();
+    if (!threadId) return this.failure("thread_not_found");
+    return { threadId };
+  }
+
+  // a failed result with a screenshot of why
+  async failure(error, extra = {}) {
+    const shot = await captureScreenshot(
+      this.page,
+      error.replace(/_/g, "-")
+    ).catch(() => ({}));
+    return {
+      success: false,
+      error,
+      ...extra,
+      screenshot: shot.success ? shot.urlPath : null,
+    };
+  }
+
+  // raw rows of the open thread, oldest first, for parseThreadRows(), and
+  // the browser's UTC offset
+  async scrapeThread() {
+    return this.page.evaluate(() => {
+      const main = document.querySelector("div[role='main']");
+      if (!main) return { rows: [], tzOffset: new Date().getTimezoneOffset() };
+      const mainBox = main.getBoundingClientRect();
+      const label = (el) => (el.getAttribute("aria-label") || "").trim();
+      const rows = [];
+      for (const row of main.querySelectorAll("[role='row']")) {
+        const headingEl = row.querySelector("h4, h5, h6");
+        const heading = headingEl ? headingEl.innerText.trim() : null;
+        // outermost dir=auto blocks hold the text; nested ones repeat it
+        const textEls = Array.from(row.querySelectorAll("div[dir='auto']"))
+          .filter((el) => !el.parentElement.closest("div[dir='auto']"))
+          .filter((el) => !(headingEl && headingEl.contains(el)));
+        const texts = textEls.map((el) => el.innerText.trim());
+
+        const attachments = [];
+        for (const img of row.querySelectorAll("img")) {
+          const box = img.getBoundingClientRect();
+          // avatars and emoji are small; photos and stickers are not
+          if (box.width < 60 && box.height < 60) continue;
+          const sticker = /sticker/i.test(label(img) + (img.alt || ""));
+          attachments.push({
+            type: sticker ? "sticker" : "image",
+            url: img.src,
+            name: img.alt || null,
+          });
+        }
+        for (const video of row.querySelectorAll("video"))
+          attachments.push({
+            type: "video",
+            url: video.src || video.poster || null,
+            name: null,
+          });
+        for (const audio of row.querySelectorAll("audio"))
+          attachments.push({ type: "audio", url: audio.src, name: null });
+        for (const a of row.querySelectorAll(
+          "a[download], a[href*='cdn.fbsbx.com']"
+        ))
+          attachments.push({
+            type: "file",
+            url: a.href,
+            name: (a.innerText || "").trim() || null,
+          });
+
+        const reactions = [];
+        for (const el of row.querySelectorAll("[aria-label*='eact']")) {
+          const m = label(el).match(/(\d+)\s+reaction/i);
+          const emoji = Array.from(el.querySelectorAll("img[alt]"))
+            .map((img) => img.alt)
+            .filter(Boolean);
+          if (!m && !emoji.length) continue;
+          for (const e of emoji.length ? emoji : [null])
+            reactions.push({
+              emoji: e,
+              count: emoji.length > 1 || !m ? null : Number(m[1]),
+            });
+        }
+
+        // own messages sit on the right-hand side
+        const anchor = textEls[0] || row.querySelector("img, video") || row;
+        const box = anchor.getBoundingClientRect();
+        rows.push({
+          heading,
+          texts,
+          attachments,
+          reactions,
+          outgoing: box.left + box.width / 2 > mainBox.left + mainBox.width / 2,
+          separator:
+            texts.length || attachments.length
+              ? null
+              : (row.innerText || "").trim().slice(0, 80) || null,
+        });
+      }
+      return { rows, tzOffset: new Date().getTimezoneOffset() };
+    });
+  }
+
+  // scroll the open thread to the top so Messenger loads older messages
+  async scrollThreadUp() {
+    return this.page
+      .evaluate(() => {
+        const row = document.querySelector("div[role='main'] [role='row']");
+        let el = row && row.parentElement;
+        while (
+          el &&
+          !(
+            el.scrollHeight > el.clientHeight + 10 &&
+            /(auto|scroll)/.test(getComputedStyle(el).overflowY)
+          )
+        )
+          el = el.parentElement;
+        if (!el) return false;
+        const before = el.scrollTop;
+        el.scrollTop = 0;
+        return el.scrollTop < before;
+      })
+      .catch(() => false);
+  }
+
+  /**
+   * Act on one message of a thread: `target` is { messageId } or
+   * { text, timestamp } (see pickMessage), `action` one of
+   *   { type: "reply", text }     quote-reply to it
+   *   { type: "react", emoji, remove }
+   *   { type: "edit", text }      own messages, while Messenger allows it
+   *   { type: "unsend" }          own messages, for everyone
+   * Every action is checked on the page afterwards before it reports
+   * success.
+   */
+  async actOnMessage(threadIdOrRecipient, target, action) {
+    try {
+      logger.info("actOnMessage start", {
+        thread: threadIdOrRecipient,
+        target,
+        action: action.type,
+      });
+      const opened = await this.openThread(threadIdOrRecipient);
+      if (opened.success === false) return opened;
+      const { threadId } = opened;
+
+      // older history loading in can shift the rows; look again once
+      let message = null;
+      let messages = [];
+      let handles = null;
+      for (let attempt = 0; attempt < 2 && !handles; attempt++) {
+        const found = await this.findThreadMessage(threadId, target);
+        if (found.success === false) return { ...found, threadId };
+        ({ message, messages } = found);
+        handles = await this.messageRow(message);
+      }
+      if (!handles)
+        return this.failure("message_not_found", {
+          threadId,
+          messageId: message.id,
+        });
+      if (
+        (action.type === "edit" || action.type === "unsend") &&
+        message.direction !== "outgoing"
+      )
+        return {
+          success: false,
+          error: "not_own_message",
+          threadId,
+          messageId: message.id,
+        };
+      // with a twin under the same divider the wrong one could be changed,
+      // and the twin would take over the id once it is gone
+      const twins = duplicatesOf(messages, message);
+      if ((action.type === "edit" || action.type === "unsend") && twins.length)
+        return {
+          success: false,
+          error: "ambiguous_message",
+          threadId,
+          messageId: message.id,
+          matches: twins.length + 1,
+        };
+      await this.progress("message_found", { messageId: message.id });
+
+      const act = {
+        reply: this.replyToMessage,
+        react: this.reactToMessage,
+        edit: this.editMessage,
+        unsend: this.unsendMessage,
+      }[action.type];
+      const result = await act.call(this, threadId, message, handles, action);
+      if (result.success) {
+        this.markSuccess();
+        await this.persistSession();
+      }
+      logger.info("actOnMessage done", {
+        threadId,
+        messageId: message.id,
+        action: action.type,
+        success: result.success,
+        error: result.error,
+      });
+      return { threadId, messageId: message.id, ...result };
+    } catch (err) {
+      logger.error("actOnMessage exception", { error: err.message });
+      return this.failure(`${action.type}_message_exception`, {
+        reason: err.message,
+      });
+    }
+  }
+
+  // parsed messages of the open thread as it is now, with row indexes
+  async threadMessages(threadId) {
+    const { rows, tzOffset } = await this.scrapeThread();
+    return parseThreadRows(rows, { threadId, tzOffset, withRows: true });
+  }
+
+  // load older history until `target` shows up; { message, messages } or
+  // a failed result
+  async findThreadMessage(threadId, target) {
+    let count = 0;
+    let idle = 0;
+    for (let round = 0; round < 40; round++) {
+      const messages = await this.threadMessages(threadId);
+      const picked = pickMessage(messages, target);
+      if (picked.message) return { ...picked, messages };
+      if (picked.error === "ambiguous_message")
+        return { success: false, ...picked };
+      idle = messages.length > count ? 0 : idle + 1;
+      count = messages.length;
+      if (idle >= 3) break;
+      await this.scrollThreadUp();
+      await wait(1000 + Math.random() * 1000);
+    }
+    return { success: false, error: "message_not_found", ...target };
+  }
+
+  // hover the message so its toolbar (React / Reply / More) shows up;
+  // { row, bubble } or null when the row no longer holds it
+  async messageRow(message) {
+    const rows = await this.page.$$("div[role='main'] [role='row']");
+    const row = rows[message.row];
+    if (!row) return null;
+    if (message.text) {
+      const text = await row.innerText().catch(() => "");
+      if (!bubbleText(text).includes(bubbleProbe(message.text))) return null;
+    }
+    await row.scrollIntoViewIfNeeded().catch(() => {});
+    const bubble =
+      (await row.$("div[dir='auto']")) || (await row.$("img, video")) || row;
+    await bubble.hover();
+    await wait(400 + Math.random() * 400);
+    return { row, bubble };
+  }
+
+  // a button of the hover toolbar by its (localized) labels
+  async messageButton({ row, bubble }, labels) {
+    await bubble.hover().catch(() => {});
+    const selector = labels.map((l) => `[aria-label='${l}']`).join(", ");
+    return (await row.$(selector)) || (await this.page.$(selector));
+  }
+
+  // an open menu's item whose text matches `pattern`
+  async findMenuItem(pattern) {
+    for (const item of await this.page.$$("[role='menuitem']")) {
+      const text =
+        (await item.innerText().catch(() => "")) ||
+        (await item.getAttribute("aria-label")) ||
+        "";
+      if (pattern.test(text.trim())) return item;
+    }
+    return null;
+  }
+
+  // "More" on the message, then the menu item; null when either is missing
+  async messageMenuItem(handles, pattern) {
+    const more = await this.messageButton(handles, ["More", "بیشتر"]);
+    if (!more) return null;
+    await more.click();
+    await wait(500 + Math.random() * 500);
+    const item = await this.findMenuItem(pattern);
+    if (!item) await this.page.keyboard.press("Escape").catch(() => {});
+    return item;
+  }
+
+  // the newest own message reading `text`, once it shows up
+  async newOwnMessage(threadId, text, timeoutMs = 10000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+      const messages = await this.threadMessages(threadId);
+      const own = messages
+        .reverse()
+        .find(
+          (m) =>
+            m.direction === "outgoing" &&
+            bubbleText(m.text) === bubbleText(text)
+        );
+      if (own) return own;
+      await wait(500);
+    }
+    return null;
+  }
+
+  async replyToMessage(threadId, message, handles, { text }) {
+    const reply = await this.messageButton(handles, ["Reply", "پاسخ"]);
+    if (!reply) return this.failure("reply_not_available");
+    await reply.click();
+    await wait(500 + Math.random() * 500);
+    const composer = await this.findMessageInputHandle(this.page, 5000);
+    if (!composer) return this.failure("no_message_input");
+    // the composer now quotes the message
+    const quoting = await this.page
+      .$("text=/Replying to|در حال پاسخ/i")
+      .catch(() => null);
+    if (!quoting)
+      return this.failure("reply_not_available", {
+        reason: "the composer did not pick up the message",
+      });
+
+    const typed = await this.typeIntoComposer(composer, text);
+    if (typed.success === false) return typed;
+    const probe = bubbleProbe(text);
+    const before = await this.countMessageBubbles(probe);
+    await this.page.keyboard.press("Enter");
+    await wait(400 + Math.random() * 700);
+    await this.progress("sent", {}, { screenshot: true });
+
+    const delivery = await this.confirmDelivery(
+      async () => (await this.countMessageBubbles(probe)) > before
+    );
+    if (!delivery.confirmed)
+      return this.failure("message_not_confirmed", {
+        deliveryState: delivery.deliveryState,
+      });
+    const sent = await this.newOwnMessage(threadId, text);
+    return {
+      success: true,
+      action: "reply",
+      reply: sent
+        ? { id: sent.id, text: sent.text, replyTo: sent.replyTo }
+        : null,
+      timestamp: delivery.timestamp,
+      deliveryState: delivery.deliveryState,
+    };
+  }
+
+  // the button for `emoji` in the open reaction bar or picker
+  async findEmojiButton(emoji) {
+    const handle = await this.page.evaluateHandle((emoji) => {
+      const strip = (s) => (s || "").replace(/\uFE0F/g, "").trim();
+      const want = strip(emoji);
+      const scopes = document.querySelectorAll(
+        "[role='dialog'], [role='menu'], [role='toolbar']"
+      );
+      for (const scope of scopes)
+        for (const el of scope.querySelectorAll(
+          "[role='button'], [role='menuitem'], [role='option'], [role='gridcell']"
+        )) {
+          const img = el.querySelector("img[alt]");
+          if (
+            strip(el.getAttribute("aria-label")) === want ||
+            strip(el.innerText) === want ||
+            (img && strip(img.alt) === want)
+          )
+            return el;
+        }
+      return null;
+    }, emoji);
+    return handle.asElement();
+  }
+
+  // click `emoji` on the message: adds it, or takes ours away if we had it
+  async toggleReaction(handles, emoji) {
+    const react = await this.messageButton(handles, ["React", "واکنش"]);
+    if (!react) return this.failure("reaction_not_available");
+    await react.click();
+    await wait(500 + Math.random() * 500);
+    // the quick bar holds a handful; the rest are behind "more"
+    let choice = await this.findEmojiButton(emoji);
+    if (!choice) {
+      const more = await this.page.$(
+        "[aria-label='Choose an emoji'], [aria-label='Choose emoji'], [aria-label='More reactions'], [aria-label='انتخاب شکلک']"
+      );
+      if (more) {
+        await more.click();
+        await wait(800 + Math.random() * 500);
+        choice = await this.findEmojiButton(emoji);
+      }
+    }
+    if (!choice) {
+      await this.page.keyboard.press("Escape").catch(() => {});
+      return this.failure("emoji_not_available", { emoji });
+    }
+    await choice.click();
+    await wait(800 + Math.random() * 500);
+    return {};
+  }
+
+  // how many `emoji` reactions the message shows, waiting up to `timeoutMs`
+  // for it to differ from `previous`
+  async reactionCount(threadId, message, emoji, previous, timeoutMs = 8000) {
+    const deadline = Date.now() + timeoutMs;
+    let count = previous;
+    let reactions = message.reactions;
+    do {
+      const now = (await this.threadMessages(threadId)).find(
+        (m) => m.id === message.id
+      );
+      if (!now) break;
+      reactions = now.reactions;
+      const r = reactions.find((x) => sameEmoji(x.emoji, emoji));
+      count = r ? r.count ?? 1 : 0;
+      if (count !== previous) break;
+      await wait(500);
+    } while (Date.now() < deadline);
+    return { count, reactions };
+  }
+
+  async reactToMessage(threadId, message, handles, { emoji, remove }) {
+    const shown = message.reactions.find((r) => sameEmoji(r.emoji, emoji));
+    const before = shown ? shown.count ?? 1 : 0;
+    if (remove && !before)
+      return { success: false, error: "reaction_not_found", emoji };
+
+    const toggled = await this.toggleReaction(handles, emoji);
+    if (toggled.success === false) return toggled;
+    let { count, reactions } = await this.reactionCount(
+      threadId,
+      message,
+      emoji,
+      before
+    );
+    if (count === before)
+      return this.failure("reaction_not_confirmed", { emoji });
+
+    // the click went the other way: the reaction was someone else's
+    // (remove) or already ours (add); put it back as it was
+    if (count > before === Boolean(remove)) {
+      const again = await this.messageRow(message);
+      if (again) await this.toggleReaction(again, emoji);
+      ({ reactions } = await this.reactionCount(
+        threadId,
+        message,
+        emoji,
+        count
+      ));
+      if (remove) return { success: false, error: "reaction_not_found", emoji };
+      await this.progress("reaction_present", { emoji });
+      return {
+        success: true,
+        action: "react",
+        emoji,
+        alreadyReacted: true,
+        reactions,
+      };
+    }
+    await this.progress(remove ? "reaction_removed" : "reaction_added", {
+      emoji,
+    });
+    return {
+      success: true,
+      action: remove ? "unreact" : "react",
+      emoji,
+      reactions,
+    };
+  }
+
+  async editMessage(threadId, message, handles, { text }) {
+    if (!message.text)
+      return { success: false, error: "edit_not_available", reason: "no text" };
+    const edit = await this.messageMenuItem(handles, /^(edit|ویرایش)/i);
+    if (!edit)
+      return this.failure("edit_not_available", {
+        reason: "Messenger only allows editing recent messages you sent",
+      });
+    await edit.click();
+    await wait(500 + Math.random() * 500);
+    const composer = await this.findMessageInputHandle(this.page, 5000);
+    if (!composer) return this.failure("no_message_input");
+
+    await this.clearComposer(composer);
+    const typed = await this.typeIntoComposer(composer, text);
+    if (typed.success === false) {
+      // leave edit mode without touching the message
+      await this.page.keyboard.press("Escape").catch(() => {});
+      return typed;
+    }
+    const probe = bubbleProbe(text);
+    const before = await this.countMessageBubbles(probe);
+    await this.page.keyboard.press("Enter");
+    await wait(400 + Math.random() * 700);
+    await this.progress("edited", {}, { screenshot: true });
+
+    const delivery = await this.confirmDelivery(
+      async () => (await this.countMessageBubbles(probe)) > before,
+      { stateTimeoutMs: 0 }
+    );
+    if (!delivery.confirmed) return this.failure("edit_not_confirmed");
+    const edited = (await this.threadMessages(threadId)).find(
+      (m) => m.row === message.row && bubbleText(m.text) === bubbleText(text)
+    );
+    return {
+      success: true,
+      action: "edit",
+      // ids follow the text, so the edited message has a new one
+      newMessageId: edited ? edited.id : null,
+      previousText: message.text,
+      text,
+      timestamp: delivery.timestamp,
+    };
+  }
+
+  async unsendMessage(threadId, message, handles) {
+    const unsend = await this.messageMenuItem(
+      handles,
+      /^(unsend|remove|لغو ارسال|حذف)/i
+    );
+    if (!unsend) return this.failure("unsend_not_available");
+    await unsend.click();
+    await wait(600 + Math.random() * 500);
+
+    const everyone = await this.page
+      .$("[role='dialog'] >> text=/unsend for everyone|برای همه/i")
+      .catch(() => null);
+    if (!everyone) {
+      await this.page.keyboard.press("Escape").catch(() => {});
+      return this.failure("unsend_not_available", {
+        reason: "Messenger only offers to remove it for you",
+      });
+    }
+    await everyone.click();
+    const confirm = await this.page
+      .$(
+        "[role='dialog'] [role='button'] >> text=/^(unsend|remove|لغو ارسال|حذف)$/i"
+      )
+      .catch(() => null);
+    if (!confirm) {
+      await this.page.keyboard.press("Escape").catch(() => {});
+      return this.failure("unsend_not_available", {
+        reason: "no confirm button",
+      });
+    }
+    await confirm.click();
+    await this.progress("unsent", {}, { screenshot: true });
+
+    // the bubble turns into "You unsent a message"; the same text sent
+    // again meanwhile would take the id, but lands below it
+    const deadline = Date.now() + 10000;
+    while (Date.now() < deadline) {
+      await wait(500);
+      const messages = await this.threadMessages(threadId);
+      const still = messages.find(
+        (m) => m.id === message.id && m.row <= message.row
+      );
+      if (!still) return { success: true, action: "unsend" };
+    }
+    return this.failure("unsend_not_confirmed");
+  }
+
+  // type `text` and check the composer holds exactly that: Enter sends
+  // whatever is there. Returns {} or a failed result
+  async typeIntoComposer(messageHandle, text) {
+    await messageHandle.focus();
+    await smallHumanMove(this.page);
+    logger.debug("Typing message...");
+    await typeMessage(this.page, messageHandle, text);
+
+    let composed = await readComposer(messageHandle);
+    if (!composerMatches(composed, text)) {
+      logger.warn("Composer differs from the message, inserting it again", {
+        expected: text.length,
+        actual: (composed || "").length,
+      });
+      await this.clearComposer(messageHandle);
+      await typeMessage(this.page, messageHandle, text, { perKey: false });
+      composed = await readComposer(messageHandle);
+    }
+    if (!composerMatches(composed, text)) {
+      const shot = await captureScreenshot(this.page, "composer-mismatch");
+      await this.clearComposer(messageHandle);
+      return {
+        success: false,
+        error: "composer_mismatch",
+        expected: text,
+        actual: composed,
+        screenshot: shot.success ? shot.urlPath : null,
+      };
+    }
+    await this.progress("typed", { length: text.length }, { screenshot: true });
+    return {};
+  }
+
+  // the chat's hidden file picker; the one inside the thread beats others
+  // on the page (e.g. the chat-head composer)
+  async findFileInput() {
+    return (
+      (await this.page.$("div[role='main'] input[type='file']")) ||
+      (await this.page.$("input[type='file'][multiple]")) ||
+      (await this.page.$("input[type='file']"))
+    );
+  }
+
+  /**
+   * After setInputFiles: wait for `count` previews in the composer (each has
+   * a remove button) and for no upload progress bar to be left. False on
+   * timeout.
+   */
+  async waitForAttachmentPreviews(count, timeoutMs = 60000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+      const status = await this.page
+        .evaluate(() => {
+          const main =
+            document.querySelector("div[role='main']") || document.body;
+          const previews = main.querySelectorAll(
+            "[aria-label='Remove attachment'], [aria-label='Remove'], [aria-label='حذف پیوست'], [aria-label='حذف']"
+          ).length;
+          const uploading = main.querySelectorAll(
+            "[role='progressbar']"
+          ).length;
+          return { previews, uploading };
+        })
+        .catch(() => ({ previews: 0, uploading: 0 }));
+      if (status.previews >= count && !status.uploading) return true;
+      await wait(500);
+    }
+    return false;
+  }
+
+  // conversation rows carrying a photo, video or file
+  async countAttachmentBubbles() {
+    return this.page
+      .evaluate(() => {
+        const rows = document.querySelectorAll(
+          "div[role='main'] [role='row'], div[role='main'] [role='gridcell']"
+        );
+        let n = 0;
+        for (const row of rows)
+          if (
+            row.querySelector(
+              "img[src*='scontent'], video, a[download], a[href*='/messenger_media'], a[href*='cdn.fbsbx.com']"
+            )
+          )
+            n++;
+        return n;
+      })
+      .catch(() => 0);
+  }
+
+  async clearComposer(handle) {
+    await handle.focus().catch(() => {});
+    await this.page.keyboard.press("ControlOrMeta+A").catch(() => {});
+    await this.page.keyboard.press("Backspace").catch(() => {});
+  }
+
+  // open thread's id from the URL (/messages/t/<id>), if any
+  currentThreadId() {
+    const m = this.page.url().match(/\/messages\/t\/([^/?#]+)/);
+    return m ? decodeURIComponent(m[1]) : null;
+  }
+
+  // conversation rows whose text contains `probe` (whitespace-normalized)
+  async countMessageBubbles(probe) {
+    return this.page
+      .evaluate((probe) => {
+        const norm = (s) => (s || "").replace(/\s+/g, " ").trim();
+        const rows = document.querySelectorAll(
+          "div[role='main'] [role='row'], div[role='main'] [role='gridcell']"
+        );
+        let n = 0;
+        for (const row of rows) if (norm(row.innerText).includes(probe)) n++;
+        return n;
+      }, probe)
+      .catch(() => 0);
+  }
+
+  // Sent/Delivered/Seen marker under the newest outgoing message:
+  // failed, sending, sent, delivered, seen or unknown
+  async deliveryState() {
+    return this.page
+      .evaluate(() => {
+        const main =
+          document.querySelector("div[role='main']") || document.body;
+        const labels = Array.from(
+          main.querySelectorAll("[aria-label], [role='row'] span")
+        )
+          .slice(-80)
+          .map((el) =>
+            (el.getAttribute("aria-label") || el.innerText || "")
+              .trim()
+              .toLowerCase()
+          )
+          .filter(Boolean)
+          .reverse();
+        const states = [
+          ["failed", /failed to send|couldn.t send|not sent|ارسال نشد/],
+          ["seen", /^seen\b|seen by|دیده شد/],
+          ["delivered", /^delivered\b|تحویل داده شد/],
+          ["sent", /^sent\b|ارسال شد/],
+          ["sending", /^sending\b|در حال ارسال/],
+        ];
+        for (const label of labels)
+          for (const [state, re] of states) if (re.test(label)) return state;
+        return "unknown";
+      })
+      .catch(() => "unknown");
+  }
+
+  /**
+   * After Enter: wait up to `timeoutMs` for `appeared()` to report the new
+   * bubble, then up to `stateTimeoutMs` more for it to leave "sending". A
+   * bubble that shows up but whose state can't be read still counts as sent.
+   */
+  async confirmDelivery(
+    appeared,
+    { timeoutMs = 15000, stateTimeoutMs = 10000 } = {}
+  ) {
+    const deadline = Date.now() + timeoutMs;
+    let found = false;
+    while (Date.now() < deadline) {
+      if (await appeared()) {
+        found = true;
+        break;
+      }
+      await wait(500);
+    }
+    if (!found) return { confirmed: false, deliveryState: "missing" };
+    const timestamp = new Date().toISOString();
+
+    let state = await this.deliveryState();
+    const stateDeadline = Date.now() + stateTimeoutMs;
+    while (
+      (state === "sending" || state === "unknown") &&
+      Date.now() < stateDeadline
+    ) {
+      await wait(500);
+      state = await this.deliveryState();
+    }
+    return { confirmed: state !== "failed", deliveryState: state, timestamp };
+  }
+
   async findMessageInputHandle(page, overallTimeout = 5000) {
     const selectors = [
       "div[contenteditable='true'][role='textbox']",
@@ -2,13 +2,67 @@
 import express from "express";
 import bodyParser from "body-parser";
 import path from "path";
-import fs from "fs/promises";
-import { chromium } from "playwright";
-import FacebookController from "./controllers/facebookController.js";
-import { loadSession } from "./utils/session.js";
+import fs from "fs";
+import multer from "multer";
+import {
+  loadSession,
+  isValidSessionName,
+  getSessionInfo,
+  writeSessionFile,
+  listSessions,
+  readSessionFile,
+  checkSessionData,
+} from "./utils/session.js";
+import ContextPool from "./utils/contextPool.js";
+import BrowserSupervisor from "./utils/supervisor.js";
+import { RetryableError, ApiError } from "./utils/errors.js";
+import WebhookDispatcher from "./utils/webhooks.js";
+import IdempotencyStore, { idempotent } from "./utils/idempotency.js";
+import RecipientSearches from "./utils/recipientSearches.js";
+import { ACTIONS, createActions, accountOf } from "./actions.js";
+import { attachJsonRpc } from "./rpc.js";
+import { parseCommand, describeIntent } from "./utils/commandParser.js";
+import { launchBrowser } from "./utils/browser.js";
+import { removeAttachments, UPLOAD_TMP_DIR } from "./utils/attachments.js";
+import TemplateStore, { templateVariables } from "./utils/templates.js";
+import InboxWatcher from "./utils/inboxWatcher.js";
+import AutoResponder from "./utils/autoResponder.js";
+import {
+  loadConfig,
+  accountConfig,
+  redactConfig,
+  ConfigError,
+} from "./config.js";
+import JobQueue, {
+  JOB_STATUSES,
+  serializeJob,
+  isFinished,
+} from "./utils/jobQueue.js";
+import Journal from "./utils/journal.js";
+import {
+  loadApiKeys,
+  authenticate,
+  requireScope,
+  canActAs,
+} from "./utils/auth.js";
+
+let config;
+try {
+  config = loadConfig();
+} catch (err) {
+  if (!(err instanceof ConfigError)) throw err;
+  console.error(err.message);
+  process.exit(1);
+}
 
 const app = express();
-app.use(bodyParser.json({ limit: "10mb" }));
+// room for one attachment of the largest size as base64 (4 chars per 3
+// bytes), plus the rest of the request
+app.use(
+  bodyParser.json({
+    limit: Math.ceil((config.attachmentMaxBytes * 4) / 3) + 1024 * 1024,
+  })
+);
 
 // serve screenshots
 app.use(
@@ -16,129 +70,927 @@ app.use(
   express.static(path.join(process.cwd(), "screenshots"))
 );
 
-let browser, context, page, fb;
-let fbReady = false;
-
-(async () => {
-  // Launch Playwright Chromium
-  browser = await chromium.launch({
-    headless: false, // visible browser reduces chance of checkpoint in many cases
-    args: [
-      "--no-sandbox",
-      "--disable-setuid-sandbox",
-      "--disable-dev-shm-usage",
-      "--disable-blink-features=AutomationControlled",
-      "--window-size=1280,800",
-    ],
-  });
+// API keys: every route below except /health, /test and /screenshots needs
+// one; the JSON-RPC endpoint on /rpc uses the same keys
+const apiKeys = loadApiKeys(config.apiKeysFile);
+const auth = authenticate(apiKeys);
 
-  // Create context with sane viewport and a normal userAgent
-  context = await browser.newContext({
-    viewport: { width: 1280, height: 800 },
-    userAgent:
-      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
-    locale: "en-US",
-    timezoneId: "Asia/Kabul",
-  });
+function checkAccount(req, res, next) {
+  if (!isValidSessionName(accountOf(req.body)))
+    return res.status(400).json({ success: false, error: "invalid_account" });
+  next();
+}
 
-  // Small stealth-ish adjustments applied to every page in this context
-  await context.addInitScript(() => {
-    // hide webdriver
-    Object.defineProperty(navigator, "webdriver", { get: () => undefined });
+// optional `callbackUrl` on action requests: we POST the job envelope there
+const webhooks = new WebhookDispatcher({ secret: config.webhookSecret });
 
-    // minimal chrome object
-    window.chrome = window.chrome || { runtime: {} };
+// named message templates, used by /sendMessage { template, variables }
+const templates = new TemplateStore({ file: config.templatesFile });
+
+// one context per account; the supervisor relaunches Chromium when it dies
+const pool = new ContextPool(null, {
+  idleMs: config.contextIdleMs,
+  settingsFor: (sessionName) => accountConfig(config, sessionName),
+});
+const supervisor = new BrowserSupervisor(pool, {
+  launch: () => launchBrowser(config),
+});
+
+function sendError(res, err) {
+  if (!(err instanceof ApiError))
+    return res.status(500).json({ success: false, error: err.message });
+  return res
+    .status(err.status)
+    .json({ success: false, error: err.code, ...err.extra });
+}
 
-    // languages
-    Object.defineProperty(navigator, "languages", {
-      get: () => ["en-US", "en"],
+// every browser action goes through the queue so only one job drives a
+// session's page at a time; throttle() inside the controller spaces them out.
+// The queue stays paused until the browser is up, and jobs picked up while
+// it is being relaunched wait for it (up to a minute).
+const jobs = new JobQueue(
+  async (job) => {
+    if (!(await supervisor.whenReady(60 * 1000)))
+      throw new RetryableError("browser_unavailable", "browser is not running");
+    return pool.use(job.sessionName, async (fb) => {
+      fb.onProgress = (event) => jobs.progress(job.id, event);
+      try {
+        return await runJob(fb, job);
+      } finally {
+        fb.onProgress = null;
+      }
     });
+  },
+  {
+    paused: true,
+    // reads (and reloads, queued internally rather than through ACTIONS);
+    // anything else may have acted already before a crash
+    rerunnable: (job) =>
+      job.type === "reloadSession" ||
+      Boolean((ACTIONS[job.type] || {}).readOnly),
+  }
+);
+
+async function runJob(fb, job) {
+  switch (job.type) {
+    case "login":
+      // the password is only ever held in memory, see journal.js
+      if (!job.params.password || job.params.password === "[redacted]")
+        return { success: false, error: "credentials_not_persisted" };
+      return fb.login(job.params.email, job.params.password);
+    case "sendMessage":
+      return fb
+        .sendMessage(job.params.recipient, job.params.text, job.sessionName, {
+          dryRun: job.params.dryRun === true,
+          profileUrl: job.params.profileUrl,
+          attachments: job.params.attachments,
+        })
+        .then((result) => withRenderedText(result, job.params));
+    case "friendRequest":
+      return fb.sendFriendRequest(job.params.recipient, {
+        dryRun: job.params.dryRun === true,
+        profileUrl: job.params.profileUrl,
+      });
+    case "resolveRecipient":
+      // the job id names the search for { searchId, candidateIndex }
+      return fb
+        .resolveRecipient(job.params.query)
+        .then((result) =>
+          result.success ? { ...result, searchId: job.id } : result
+        );
+    case "getConversations":
+      return fb.getConversations(job.params);
+    case "getThreadMessages":
+      return fb.getThreadMessages(job.params.thread, {
+        limit: job.params.limit,
+        before: job.params.before,
+      });
+    case "replyToMessage":
+      return fb.actOnMessage(job.params.thread, messageTarget(job.params), {
+        type: "reply",
+        text: job.params.text,
+      });
+    case "reactToMessage":
+      return fb.actOnMessage(job.params.thread, messageTarget(job.params), {
+        type: "react",
+        emoji: job.params.emoji,
+        remove: job.params.remove === true,
+      });
+    case "editMessage":
+      return fb.actOnMessage(job.params.thread, messageTarget(job.params), {
+        type: "edit",
+        text: job.params.text,
+      });
+    case "unsendMessage":
+      return fb.actOnMessage(job.params.thread, messageTarget(job.params), {
+        type: "unsend",
+      });
+    case "reloadSession":
+      return loadSession(fb.page, job.sessionName).then((r) => ({
+        success: r.ok,
+        error: r.error,
+      }));
+    default:
+      return { success: false, error: "unknown_job_type" };
+  }
+}
+
+// which message the *Message actions act on, see actOnMessage()
+function messageTarget(params) {
+  if (params.messageId) return { messageId: params.messageId };
+  return { text: params.match.text, timestamp: params.match.timestamp };
+}
+
+// a templated message reports what it actually said, for auditing
+function withRenderedText(result, params) {
+  if (params.template === undefined) return result;
+  return {
+    ...result,
+    template: params.template,
+    templateLocale: params.templateLocale,
+    renderedText: params.text,
+  };
+}
+
+// durable journal: replay unfinished jobs from the last run, then record
+// every transition from here on
+const journal = new Journal(config.journalFile);
+const resumed = jobs.restore(journal.load());
+journal.compact(jobs.list());
+jobs.on("job", (job) => {
+  journal.record(job);
+  if (journal.needsCompaction()) journal.compact(jobs.list());
+});
+
+// candidates of recent searches, for sends that pick one by index
+const searches = new RecipientSearches();
+jobs.on("job", (job) => {
+  if (job.type === "resolveRecipient" && job.status === "succeeded")
+    searches.put(job.sessionName, job.id, job.result.candidates);
+});
 
-    // plugins length
-    Object.defineProperty(navigator, "plugins", { get: () => [1, 2, 3, 4, 5] });
+const actions = createActions({
+  jobs,
+  supervisor,
+  webhooks,
+  searches,
+  attachmentLimits: {
+    maxBytes: config.attachmentMaxBytes,
+    maxCount: config.attachmentMaxCount,
+    allowedDir: config.attachmentsDir,
+  },
+  templates,
+  localeOf: (account) => accountConfig(config, account).locale,
+});
+
+// stored attachment copies are only needed until the job has run
+jobs.on("job", (job) => {
+  if (isFinished(job) && job.params && job.params.attachments)
+    removeAttachments(job.params.attachments);
+});
+
+// multipart/form-data on /sendMessage: files go in "attachments" fields,
+// everything else is a plain text field
+fs.mkdirSync(UPLOAD_TMP_DIR, { recursive: true });
+const upload = multer({
+  dest: UPLOAD_TMP_DIR,
+  limits: {
+    fileSize: config.attachmentMaxBytes,
+    files: config.attachmentMaxCount,
+  },
+}).array("attachments");
+
+function acceptUploads(req, res, next) {
+  if (!req.is("multipart/form-data")) return next();
+  // however the request ends (a replay or a refusal answers before the
+  // route runs), what was not taken is dropped
+  res.on("close", () => discardUploads(req));
+  upload(req, res, (err) => {
+    if (err) return next(err);
+    // form fields are strings
+    const body = req.body;
+    if (body.dryRun === "true" || body.dryRun === "false")
+      body.dryRun = body.dryRun === "true";
+    if (/^\d+$/.test(body.candidateIndex || ""))
+      body.candidateIndex = Number(body.candidateIndex);
+    if (typeof body.variables === "string")
+      try {
+        body.variables = JSON.parse(body.variables);
+      } catch {
+        // left as a string; submit() reports invalid_variables
+      }
+    next();
   });
+}
 
-  page = await context.newPage();
-  await page.setViewportSize({ width: 1280, height: 800 });
+// whatever storeAttachments() did not take (refused request) is dropped
+function discardUploads(req) {
+  for (const file of req.files || [])
+    fs.rm(file.path, { force: true }, () => {});
+}
 
-  fb = new FacebookController(page, {
-    sessionName: "default",
-    minMessageIntervalMs: 10_000,
+// Idempotency-Key on mutating routes: a repeat gets the first answer back
+// (with the job's current status) instead of touching the browser again
+const once = idempotent(
+  new IdempotencyStore({
+    file: config.idempotencyFile,
+    ttlMs: config.idempotencyTtlMs,
+  }),
+  { describeJob: (id) => serializeJob(jobs.get(id)) }
+);
+
+// screenshot paths are relative to this server; make them absolute for webhooks
+function absoluteUrl(urlPath) {
+  if (!urlPath || !config.publicBaseUrl) return urlPath;
+  return new URL(urlPath, config.publicBaseUrl).toString();
+}
+
+jobs.on("job", (job) => {
+  if (!job.callbackUrl) return;
+  if (job.status !== "succeeded" && job.status !== "failed") return;
+  webhooks.deliver(job.callbackUrl, {
+    event: "job.finished",
+    jobId: job.id,
+    type: job.type,
+    account: job.sessionName,
+    status: job.status,
+    success: job.status === "succeeded",
+    error: job.error,
+    retryable: Boolean(job.result && job.result.retryable),
+    screenshot: absoluteUrl(job.screenshot),
+    result: job.result,
+    finishedAt: job.finishedAt,
   });
+});
+if (resumed.length)
+  console.log(`Resuming ${resumed.length} unfinished job(s) from journal.`);
+
+// incoming messages on watched accounts, pushed to eventWebhooks and to
+// "messages.subscribe" on /rpc
+const watcher = new InboxWatcher(pool, {
+  pollMs: config.watchPollMs,
+  cursorFile: config.inboxCursorFile,
+});
+watcher.on("message", (event) => {
+  for (const hook of config.eventWebhooks) {
+    const { url, accounts } = typeof hook === "string" ? { url: hook } : hook;
+    if (!accounts || accounts.includes(event.account))
+      webhooks.deliver(url, event);
+  }
+});
+
+// reply rules answer watched accounts' messages through sendMessage
+const responder = new AutoResponder({
+  submit: actions.submit,
+  jobs,
+  templates,
+  timezoneOf: (account) => accountConfig(config, account).timezoneId,
+  file: config.autoRepliesFile,
+  logFile: config.autoReplyLogFile,
+});
+responder.start();
+watcher.on("message", (event) => responder.handle(event));
 
-  await fb.initSession();
-  fbReady = true;
+supervisor.start().then(() => {
+  jobs.start();
+  for (const account of config.watchAccounts) watcher.watch(account);
   console.log("Playwright driver ready.");
-})().catch((e) => {
-  console.error("Browser launch failed:", e);
 });
 
-// Login endpoint
-app.post("/login", async (req, res) => {
-  if (!fb) return res.status(503).json({ success: false, error: "not_ready" });
-  const { email, password } = req.body;
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.once(signal, async () => {
+    responder.stop();
+    await watcher.stop();
+    await supervisor.stop();
+    process.exit(0);
+  });
+}
+
+// routes whose caller waits for the queued job: its result, 503 when it can
+// be retried, 400 when it failed
+async function respondWhenDone(res, job) {
+  await jobs.waitFor(job.id);
+  const result = {
+    ...(job.result || { success: false, error: job.error }),
+  };
+  result.jobId = job.id;
+  if (result.retryable) return res.status(503).json(result);
+  if (!result.success) return res.status(400).json(result);
+  return res.json(result);
+}
+
+// Login endpoint (runs through the queue, but the caller waits for it)
+app.post("/login", auth, once, async (req, res) => {
   try {
-    const result = await fb.login(email, password);
-    if (!result.success) return res.status(400).json(result);
-    return res.json(result);
+    const job = actions.submit(req.apiKey, "login", req.body);
+    if (req.idempotency) req.idempotency.attachJob(job.id);
+    return await respondWhenDone(res, job);
   } catch (err) {
-    return res.status(500).json({ success: false, error: err.message });
+    return sendError(res, err);
   }
 });
 
-// Send message
-app.post("/sendMessage", async (req, res) => {
-  if (!fbReady || !fb) {
-    return res.status(400).json({ success: false, error: "page_not_ready" });
+// Send message / friend request, and reply / react / edit / unsend for an
+// existing message (queued; poll GET /jobs/:id for the outcome)
+for (const [route, type] of [
+  ["/sendMessage", "sendMessage"],
+  ["/friendRequest", "friendRequest"],
+  ["/replyToMessage", "replyToMessage"],
+  ["/reactToMessage", "reactToMessage"],
+  ["/editMessage", "editMessage"],
+  ["/unsendMessage", "unsendMessage"],
+]) {
+  app.post(route, auth, acceptUploads, once, (req, res) => {
+    try {
+      const job = actions.submit(req.apiKey, type, req.body, {
+        uploads: req.files || [],
+      });
+      if (req.idempotency) req.idempotency.attachJob(job.id);
+      return res
+        .status(202)
+        .json({ success: true, jobId: job.id, status: job.status });
+    } catch (err) {
+      return sendError(res, err);
+    }
+  });
+}
+
+// Free-text command (test.html). Without `confirm: true` only the parsed
+// intent is returned; send the same command again with confirm to run it.
+app.post("/command", auth, once, (req, res) => {
+  const { command, confirm, callbackUrl, dryRun } = req.body || {};
+  const parsed = parseCommand(command);
+  if (!parsed.ok)
+    return res
+      .status(400)
+      .json({ success: false, error: parsed.error, hint: parsed.hint });
+
+  const { action, ...params } = parsed.intent;
+  const account = accountOf(req.body);
+  const intent = { action, account, ...params };
+  const summary = describeIntent(parsed.intent);
+  if (confirm !== true)
+    return res.json({
+      success: true,
+      confirmed: false,
+      language: parsed.language,
+      intent,
+      summary,
+    });
+
+  try {
+    const job = actions.submit(req.apiKey, action, {
+      account,
+      callbackUrl,
+      dryRun,
+      ...params,
+    });
+    if (req.idempotency) req.idempotency.attachJob(job.id);
+    return res.status(202).json({
+      success: true,
+      confirmed: true,
+      intent,
+      summary,
+      jobId: job.id,
+      status: job.status,
+    });
+  } catch (err) {
+    return sendError(res, err);
   }
-  const { recipient, text } = req.body;
+});
+
+// Everyone a name could mean (queued like any browser action; the caller
+// waits). Send with the result's `searchId` and a candidate's index as
+// `candidateIndex` (for a while, see recipientSearches.js), or to its
+// `recipient`, to pick one of them.
+app.get("/recipients/search", auth, async (req, res) => {
   try {
-    const result = await fb.sendMessage(recipient, text, "default");
-    if (!result.success) return res.status(400).json(result);
-    return res.json(result);
+    const job = actions.submit(req.apiKey, "resolveRecipient", {
+      account: req.query.account,
+      query: typeof req.query.q === "string" ? req.query.q.trim() : null,
+    });
+    return await respondWhenDone(res, job);
   } catch (err) {
-    return res.status(500).json({ success: false, error: err.message });
+    return sendError(res, err);
   }
 });
 
-app.post("/friendRequest", async (req, res) => {
-  if (!fbReady || !fb) {
-    return res.status(400).json({ success: false, error: "page_not_ready" });
+// query strings to the typed params an action checks; anything unparsable
+// is passed on as-is so the action reports it
+function listQuery(query) {
+  const bool = (v) => (v === "true" ? true : v === "false" ? false : v);
+  return {
+    account: query.account,
+    limit: /^\d+$/.test(query.limit || "") ? Number(query.limit) : query.limit,
+    cursor: query.cursor,
+    unreadOnly: bool(query.unreadOnly),
+    since: query.since,
+    folder: query.folder,
+  };
+}
+
+// Messenger chat list: ?limit=&cursor=&unreadOnly=true&since=<ISO>&folder=
+// (queued like any browser action; the caller waits for the page)
+app.get("/conversations", auth, async (req, res) => {
+  try {
+    const job = actions.submit(
+      req.apiKey,
+      "getConversations",
+      listQuery(req.query)
+    );
+    return await respondWhenDone(res, job);
+  } catch (err) {
+    return sendError(res, err);
   }
-  const { recipient } = req.body;
+});
+
+// One thread's history, oldest first: ?limit=&before=<message id or ISO time>
+app.get("/conversations/:threadId/messages", auth, async (req, res) => {
+  const { limit, before } = req.query;
   try {
-    const result = await fb.sendFriendRequest(recipient);
-    if (!result.success) return res.status(400).json(result);
-    return res.json(result);
+    const job = actions.submit(req.apiKey, "getThreadMessages", {
+      account: req.query.account,
+      thread: `thread:${req.params.threadId}`,
+      limit: /^\d+$/.test(limit || "") ? Number(limit) : limit,
+      before,
+    });
+    return await respondWhenDone(res, job);
   } catch (err) {
-    return res.status(500).json({ success: false, error: err.message });
+    return sendError(res, err);
   }
 });
 
-// Upload a session JSON (from human ops after manual login) to replace session file
-app.post("/uploadSession", async (req, res) => {
+// Message templates: anyone who may send can read and preview them,
+// changing them takes template-admin
+const readTemplates = requireScope(["send", "template-admin"], null);
+const writeTemplates = requireScope("template-admin", null);
+const describeTemplate = (t) => ({ ...t, variables: templateVariables(t) });
+
+app.get("/templates", auth, readTemplates, (req, res) => {
+  return res.json({
+    success: true,
+    templates: templates.list().map(describeTemplate),
+  });
+});
+
+app.get("/templates/:name", auth, readTemplates, (req, res) => {
   try {
-    const { sessionName = "default", session } = req.body;
-    if (!session)
-      return res.status(400).json({ success: false, error: "no_session" });
-
-    const sessionsDir = path.join(process.cwd(), "sessions");
-    await fs.mkdir(sessionsDir, { recursive: true });
-    const filePath = path.join(sessionsDir, `${sessionName}.json`);
-    await fs.writeFile(filePath, JSON.stringify(session, null, 2), "utf8");
-
-    // load it into current page/context
-    await loadSession(page, sessionName);
-    return res.json({ success: true, file: filePath });
+    const template = describeTemplate(templates.get(req.params.name));
+    return res.json({ success: true, template });
   } catch (err) {
-    return res.status(500).json({ success: false, error: err.message });
+    return sendError(res, err);
+  }
+});
+
+app.put("/templates/:name", auth, writeTemplates, once, (req, res) => {
+  try {
+    const { template, created } = templates.put(req.params.name, req.body);
+    return res
+      .status(created ? 201 : 200)
+      .json({ success: true, created, template: describeTemplate(template) });
+  } catch (err) {
+    return sendError(res, err);
   }
 });
 
+app.delete("/templates/:name", auth, writeTemplates, once, (req, res) => {
+  try {
+    templates.remove(req.params.name);
+    return res.json({ success: true });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+// Render without sending: { variables, locale } or { variables, account } to
+// use that account's locale, as /sendMessage would
+app.post("/templates/:name/preview", auth, readTemplates, (req, res) => {
+  const { variables, locale } = req.body || {};
+  const account = accountOf(req.body);
+  if (!isValidSessionName(account))
+    return res.status(400).json({ success: false, error: "invalid_account" });
+  try {
+    const rendered = templates.render(
+      req.params.name,
+      variables,
+      locale || accountConfig(config, account).locale
+    );
+    return res.json({ success: true, template: req.params.name, ...rendered });
+  } catch (err) {
+    return sendError(res, err);
+  }
+});
+
+// Job status
+app.get("/jobs", auth, (req, res) => {
+  const { status } = req.query;
+  const sessionName = req.query.account || req.query.sessionName;
+  if (status && !JOB_STATUSES.includes(status)) {
+    return res.status(400).json({ success: false, error: "invalid_status" });
+  }
+  const list = jobs
+    .list({ status, sessionName })
+    .filter((job) => canActAs(req.apiKey, job.sessionName))
+    .map(serializeJob);
+  return res.json({ success: true, jobs: list });
+});
+
+app.get("/jobs/:id", auth, (req, res) => {
+  const job = jobs.get(req.params.id);
+  if (!job)
+    return res.status(404).json({ success: false, error: "job_not_found" });
+  if (!canActAs(req.apiKey, job.sessionName))
+    return res
+      .status(403)
+      .json({ success: false, error: "session_not_allowed" });
+  return res.json({ success: true, job: serializeJob(job) });
+});
+
+// Live steps of a job as Server-Sent Events: past steps are replayed first,
+// the stream ends once the job has finished
+app.get(
+  "/jobs/:id/events",
+  authenticate(apiKeys, { allowQueryToken: true }),
+  (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job)
+      return res.status(404).json({ success: false, error: "job_not_found" });
+    if (!canActAs(req.apiKey, job.sessionName))
+      return res
+        .status(403)
+        .json({ success: false, error: "session_not_allowed" });
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    res.flushHeaders();
+    const send = (event, data) =>
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    for (const event of job.events) send("step", event);
+    send("status", serializeJob(job));
+    if (isFinished(job)) return res.end();
+
+    const onProgress = (j, event) => {
+      if (j.id === job.id) send("step", event);
+    };
+    const onJob = (j) => {
+      if (j.id !== job.id) return;
+      send("status", serializeJob(j));
+      if (isFinished(j)) cleanup(true);
+    };
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), 15000);
+    function cleanup(end) {
+      clearInterval(heartbeat);
+      jobs.off("progress", onProgress);
+      jobs.off("job", onJob);
+      if (end) res.end();
+    }
+    jobs.on("progress", onProgress);
+    jobs.on("job", onJob);
+    req.on("close", () => cleanup(false));
+  }
+);
+
+// Webhook deliveries that ran out of retries
+app.get("/webhooks/dead-letters", auth, (req, res) => {
+  const deadLetters = webhooks.deadLetters.filter((d) =>
+    canActAs(req.apiKey, d.payload && d.payload.account)
+  );
+  return res.json({ success: true, deadLetters });
+});
+
+function findDeadLetter(req, res, next) {
+  const d = webhooks.deadLetters.find((x) => x.id === req.params.id);
+  if (!d)
+    return res
+      .status(404)
+      .json({ success: false, error: "dead_letter_not_found" });
+  if (!canActAs(req.apiKey, d.payload && d.payload.account))
+    return res
+      .status(403)
+      .json({ success: false, error: "session_not_allowed" });
+  next();
+}
+
+app.post(
+  "/webhooks/dead-letters/:id/retry",
+  auth,
+  once,
+  findDeadLetter,
+  (req, res) => {
+    webhooks.redeliver(req.params.id);
+    return res.status(202).json({ success: true });
+  }
+);
+
+app.delete(
+  "/webhooks/dead-letters/:id",
+  auth,
+  once,
+  findDeadLetter,
+  (req, res) => {
+    webhooks.discard(req.params.id);
+    return res.json({ success: true });
+  }
+);
+
+// Upload a session JSON (from human ops after manual login) to replace session file
+app.post(
+  "/uploadSession",
+  auth,
+  once,
+  checkAccount,
+  requireScope("session-admin", (req) => accountOf(req.body)),
+  async (req, res) => {
+    try {
+      const sessionName = accountOf(req.body);
+      const { session } = req.body;
+      if (!session)
+        return res.status(400).json({ success: false, error: "no_session" });
+
+      const filePath = await writeSessionFile(sessionName, session);
+
+      // reload the live context if there is one (queued, so it doesn't
+      // navigate under a running job); otherwise the pool picks the file up
+      // the next time it opens this session
+      const live = Boolean(pool.peek(sessionName));
+      if (live) {
+        const job = jobs.enqueue({ type: "reloadSession", sessionName });
+        await jobs.waitFor(job.id);
+      }
+      return res.json({ success: true, file: filePath, loaded: live });
+    } catch (err) {
+      return res.status(500).json({ success: false, error: err.message });
+    }
+  }
+);
+
+// Saved sessions on disk, checked offline like `session list` does locally,
+// with the state of those open in the browser
+app.get(
+  "/sessions",
+  auth,
+  requireScope("session-admin", null),
+  async (req, res) => {
+    const states = pool.states();
+    const sessions = [];
+    for (const file of await listSessions()) {
+      const name = file.replace(/\.json$/, "");
+      if (!isValidSessionName(name) || !canActAs(req.apiKey, name)) continue;
+      const info = await getSessionInfo(name);
+      const check = checkSessionData(
+        await readSessionFile(name).catch(() => null)
+      );
+      sessions.push({
+        name,
+        savedAt: info.savedAt,
+        ageMs: info.ageMs,
+        ...check,
+        state: states[name] ? states[name].state : null,
+      });
+    }
+    return res.json({ success: true, sessions });
+  }
+);
+
+// Effective configuration (secrets redacted); ?account= adds that account's
+// merged settings
+app.get(
+  "/config",
+  auth,
+  requireScope("session-admin", (req) => req.query.account || "default"),
+  (req, res) => {
+    const out = { success: true, config: redactConfig(config) };
+    if (req.query.account) {
+      if (!isValidSessionName(req.query.account))
+        return res
+          .status(400)
+          .json({ success: false, error: "invalid_account" });
+      out.account = accountConfig(config, req.query.account);
+    }
+    return res.json(out);
+  }
+);
+
+// Open browser contexts
+app.get("/accounts", auth, (req, res) => {
+  const accounts = pool
+    .list()
+    .filter((a) => canActAs(req.apiKey, a.sessionName));
+  return res.json({ success: true, accounts });
+});
+
+// Inbox watchers (see utils/inboxWatcher.js)
+app.get("/watchers", auth, requireScope("read", null), (req, res) => {
+  const watchers = watcher
+    .list()
+    .filter((w) => canActAs(req.apiKey, w.account));
+  return res.json({ success: true, watchers });
+});
+
+function checkWatchedAccount(req, res, next) {
+  if (!isValidSessionName(req.params.account))
+    return res.status(400).json({ success: false, error: "invalid_account" });
+  next();
+}
+
+app.put(
+  "/watchers/:account",
+  auth,
+  checkWatchedAccount,
+  requireScope("read", (req) => req.params.account),
+  (req, res) => {
+    const created = !watcher.isWatching(req.params.account);
+    const status = watcher.watch(req.params.account);
+    return res.status(created ? 201 : 200).json({ success: true, ...status });
+  }
+);
+
+app.delete(
+  "/watchers/:account",
+  auth,
+  checkWatchedAccount,
+  requireScope("read", (req) => req.params.account),
+  async (req, res) => {
+    if (!(await watcher.unwatch(req.params.account)))
+      return res
+        .status(404)
+        .json({ success: false, error: "watcher_not_found" });
+    return res.json({ success: true });
+  }
+);
+
+// Auto-reply rules (see utils/autoResponder.js); a rule sends as its account,
+// so changing one takes "send" on that account
+app.get(
+  "/auto-replies/rules",
+  auth,
+  requireScope(["read", "send"], null),
+  (req, res) => {
+    const rules = responder
+      .list(req.query.account)
+      .filter((r) => canActAs(req.apiKey, r.account));
+    return res.json({ success: true, rules });
+  }
+);
+
+function findRule(req, res, next) {
+  try {
+    req.rule = responder.get(req.params.id);
+  } catch (err) {
+    return sendError(res, err);
+  }
+  if (!canActAs(req.apiKey, req.rule.account))
+    return res
+      .status(403)
+      .json({ success: false, error: "session_not_allowed" });
+  next();
+}
+
+app.get(
+  "/auto-replies/rules/:id",
+  auth,
+  requireScope(["read", "send"], null),
+  findRule,
+  (req, res) => res.json({ success: true, rule: req.rule })
+);
+
+app.put(
+  "/auto-replies/rules/:id",
+  auth,
+  once,
+  checkAccount,
+  requireScope("send", (req) => accountOf(req.body)),
+  (req, res) => {
+    try {
+      // moving a rule to another account needs both
+      const existing = responder.rules.get(req.params.id);
+      if (existing && !canActAs(req.apiKey, existing.account))
+        return res
+          .status(403)
+          .json({ success: false, error: "session_not_allowed" });
+      const { rule, created } = responder.put(req.params.id, {
+        ...req.body,
+        account: accountOf(req.body),
+      });
+      return res.status(created ? 201 : 200).json({
+        success: true,
+        rule,
+        // rules only see messages of watched accounts
+        watching: watcher.isWatching(rule.account),
+      });
+    } catch (err) {
+      return sendError(res, err);
+    }
+  }
+);
+
+app.delete(
+  "/auto-replies/rules/:id",
+  auth,
+  once,
+  requireScope("send", null),
+  findRule,
+  (req, res) => {
+    responder.remove(req.params.id);
+    return res.json({ success: true });
+  }
+);
+
+// What the rules sent, newest first: ?account=&since=&limit=
+app.get(
+  "/auto-replies/log",
+  auth,
+  requireScope(["read", "send"], null),
+  (req, res) => {
+    const { account, since, limit } = req.query;
+    if (since !== undefined && Number.isNaN(Date.parse(since)))
+      return res.status(400).json({ success: false, error: "invalid_since" });
+    if (limit !== undefined && !/^([1-9]\d{0,2}|1000)$/.test(limit))
+      return res.status(400).json({ success: false, error: "invalid_limit" });
+    const entries = responder.log({
+      account,
+      since,
+      limit: limit ? Number(limit) : undefined,
+      visible: (e) => canActAs(req.apiKey, e.account),
+    });
+    return res.json({ success: true, entries });
+  }
+);
+
 // Health
+const startedAt = Date.now();
 app.get("/health", (req, res) => res.json({ ok: true }));
+
+// liveness: the process and its event loop are up, nothing else
+app.get("/health/live", (req, res) =>
+  res.json({ ok: true, uptimeMs: Date.now() - startedAt })
+);
+
+// readiness: browser state plus what we know about every account
+app.get("/health/ready", async (req, res) => {
+  const states = pool.states();
+  for (const job of jobs.list()) {
+    if (job.status !== "queued" && job.status !== "running") continue;
+    if (!states[job.sessionName])
+      states[job.sessionName] = { state: "launching", open: false };
+  }
+
+  const accounts = [];
+  for (const [account, info] of Object.entries(states)) {
+    const session = await getSessionInfo(account);
+    accounts.push({
+      account,
+      state: info.state,
+      open: info.open,
+      lastSuccessAt: info.lastSuccessAt || null,
+      sessionSavedAt: session.savedAt,
+      sessionAgeMs: session.ageMs,
+      queueDepth: jobs.depth(account),
+    });
+  }
+
+  const ready = supervisor.ready;
+  return res.status(ready ? 200 : 503).json({
+    ready,
+    browser: {
+      state: supervisor.state,
+      restarts: supervisor.restarts,
+      lastError: supervisor.lastError,
+    },
+    accounts,
+  });
+});
 app.get("/test", (req, res) => {
   res.sendFile(path.join(process.cwd(), "src", "test.html"));
 });
 
-app.listen(3000, () => console.log("Playwright API running on port 3000"));
+// body and upload errors surface in the usual { success, error } shape
+const UPLOAD_ERRORS = {
+  LIMIT_FILE_SIZE: [413, "attachment_too_large"],
+  LIMIT_FILE_COUNT: [400, "too_many_attachments"],
+};
+app.use((err, req, res, next) => {
+  if (err instanceof multer.MulterError) {
+    const [status, code] = UPLOAD_ERRORS[err.code] || [
+      400,
+      "invalid_attachment",
+    ];
+    return res
+      .status(status)
+      .json({ success: false, error: code, reason: err.message });
+  }
+  if (err.type === "entity.too.large")
+    return res.status(413).json({ success: false, error: "payload_too_large" });
+  if (err.type === "entity.parse.failed")
+    return res.status(400).json({ success: false, error: "invalid_json" });
+  return sendError(res, err);
+});
+
+const server = app.listen(config.port, () =>
+  console.log(`Playwright API running on port ${config.port}`)
+);
+attachJsonRpc(server, { apiKeys, actions, jobs, watcher });
@@ -0,0 +1,299 @@
+// src/rpc.js
+// JSON-RPC 2.0 over WebSocket, dispatching to the same job queue (and so the
+// same FacebookController per account) as the HTTP API.
+import { WebSocketServer } from "ws";
+import logger from "./utils/logger.js";
+import { findApiKey, canActAs } from "./utils/auth.js";
+import { isValidSessionName } from "./utils/session.js";
+import { ApiError } from "./utils/errors.js";
+import { serializeJob, isFinished, JOB_STATUSES } from "./utils/jobQueue.js";
+import { ACTIONS } from "./actions.js";
+
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+
+// application errors live in the -32000..-32099 server range
+const API_ERROR_CODES = {
+  400: INVALID_PARAMS,
+  401: -32001,
+  403: -32003,
+  404: -32004,
+  413: INVALID_PARAMS,
+  415: INVALID_PARAMS,
+  503: -32005,
+};
+const JOB_FAILED = -32010;
+
+class RpcError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.code = code;
+    this.data = data;
+  }
+}
+
+function toRpcError(err) {
+  if (err instanceof RpcError) return err;
+  if (err instanceof ApiError)
+    return new RpcError(
+      API_ERROR_CODES[err.status] || INTERNAL_ERROR,
+      err.code,
+      {
+        error: err.code,
+        ...err.extra,
+      }
+    );
+  logger.error("JSON-RPC internal error", { error: err.message });
+  return new RpcError(INTERNAL_ERROR, "Internal error");
+}
+
+function errorResponse(id, err) {
+  const e = toRpcError(err);
+  const error = { code: e.code, message: e.message };
+  if (e.data !== undefined) error.data = e.data;
+  return { jsonrpc: "2.0", id, error };
+}
+
+// token from ?token= (browsers can't set WS headers), x-api-key or Bearer
+function presentedKey(req, url) {
+  const authz = req.headers.authorization || "";
+  const bearer = authz.match(/^Bearer\s+(.+)$/i);
+  return (
+    url.searchParams.get("token") ||
+    req.headers["x-api-key"] ||
+    (bearer && bearer[1]) ||
+    null
+  );
+}
+
+export function attachJsonRpc(
+  server,
+  { apiKeys, actions, jobs, watcher, path = "/rpc" }
+) {
+  const wss = new WebSocketServer({ server, path });
+
+  function notify(ws, method, params) {
+    if (ws.readyState !== ws.OPEN) return;
+    ws.send(JSON.stringify({ jsonrpc: "2.0", method, params }));
+  }
+
+  // run one action job, notifying the client of every status change and step
+  async function runAction(ws, apiKey, type, params, id) {
+    const job = actions.submit(apiKey, type, params);
+    const onJob = (j) => {
+      if (j.id !== job.id) return;
+      notify(ws, "job.progress", {
+        requestId: id,
+        jobId: j.id,
+        status: j.status,
+      });
+    };
+    const onProgress = (j, event) => {
+      if (j.id !== job.id) return;
+      notify(ws, "job.progress", {
+        requestId: id,
+        jobId: j.id,
+        status: j.status,
+        event,
+      });
+    };
+    onJob(job);
+    jobs.on("job", onJob);
+    jobs.on("progress", onProgress);
+    try {
+      await jobs.waitFor(job.id);
+    } finally {
+      jobs.off("job", onJob);
+      jobs.off("progress", onProgress);
+    }
+    if (job.status === "failed")
+      throw new RpcError(
+        JOB_FAILED,
+        job.error || "job_failed",
+        serializeJob(job)
+      );
+    return serializeJob(job);
+  }
+
+  // "jobs.subscribe" topic: job.event notifications for any job the key can see
+  function subscribe(ws, apiKey, jobId) {
+    const job = jobs.get(jobId);
+    if (!job) throw new ApiError(404, "job_not_found");
+    if (!canActAs(apiKey, job.sessionName))
+      throw new ApiError(403, "session_not_allowed");
+    if (ws.subscriptions.has(jobId)) return { subscribed: jobId };
+
+    const onProgress = (j, event) => {
+      if (j.id === jobId) notify(ws, "job.event", { jobId, event });
+    };
+    const onJob = (j) => {
+      if (j.id !== jobId) return;
+      notify(ws, "job.event", { jobId, status: j.status });
+      if (isFinished(j)) unsubscribe(ws, jobId);
+    };
+    jobs.on("progress", onProgress);
+    jobs.on("job", onJob);
+    ws.subscriptions.set(jobId, () => {
+      jobs.off("progress", onProgress);
+      jobs.off("job", onJob);
+    });
+
+    // catch the subscriber up on what already happened
+    for (const event of job.events) notify(ws, "job.event", { jobId, event });
+    notify(ws, "job.event", { jobId, status: job.status });
+    if (isFinished(job)) unsubscribe(ws, jobId);
+    return { subscribed: jobId };
+  }
+
+  function unsubscribe(ws, jobId) {
+    const off = ws.subscriptions.get(jobId);
+    if (!off) return false;
+    off();
+    ws.subscriptions.delete(jobId);
+    return true;
+  }
+
+  // "messages.subscribe" topic: message.received for one watched account
+  function subscribeMessages(ws, apiKey, account) {
+    if (!apiKey.scopes.includes("read"))
+      throw new ApiError(403, "insufficient_scope", { scope: "read" });
+    if (!isValidSessionName(account))
+      throw new ApiError(400, "invalid_account");
+    if (!canActAs(apiKey, account))
+      throw new ApiError(403, "session_not_allowed");
+    const key = `messages:${account}`;
+    if (!ws.subscriptions.has(key)) {
+      const onMessage = (event) => {
+        if (event.account === account) notify(ws, "message.received", event);
+      };
+      watcher.on("message", onMessage);
+      ws.subscriptions.set(key, () => watcher.off("message", onMessage));
+    }
+    // events only flow while someone watches the account
+    return { subscribed: account, watching: watcher.isWatching(account) };
+  }
+
+  const methods = {
+    "jobs.get": (ws, apiKey, params) => {
+      const job = jobs.get(params.id);
+      if (!job) throw new ApiError(404, "job_not_found");
+      if (!canActAs(apiKey, job.sessionName))
+        throw new ApiError(403, "session_not_allowed");
+      return serializeJob(job);
+    },
+    "jobs.list": (ws, apiKey, params) => {
+      if (params.status && !JOB_STATUSES.includes(params.status))
+        throw new ApiError(400, "invalid_status");
+      return jobs
+        .list({ status: params.status, sessionName: params.account })
+        .filter((job) => canActAs(apiKey, job.sessionName))
+        .map(serializeJob);
+    },
+    "jobs.subscribe": (ws, apiKey, params) => subscribe(ws, apiKey, params.id),
+    "jobs.unsubscribe": (ws, apiKey, params) => ({
+      unsubscribed: unsubscribe(ws, params.id),
+    }),
+    "messages.subscribe": (ws, apiKey, params) =>
+      subscribeMessages(ws, apiKey, params.account),
+    "messages.unsubscribe": (ws, apiKey, params) => ({
+      unsubscribed: unsubscribe(ws, `messages:${params.account}`),
+    }),
+  };
+  for (const type of Object.keys(ACTIONS)) {
+    methods[type] = (ws, apiKey, params, id) =>
+      runAction(ws, apiKey, type, params, id);
+  }
+  // name used by the old WebSocket server
+  methods.sendFriendRequest = methods.friendRequest;
+
+  async function handleOne(ws, apiKey, msg) {
+    const isObject = msg && typeof msg === "object" && !Array.isArray(msg);
+    const id =
+      isObject && (typeof msg.id === "string" || typeof msg.id === "number")
+        ? msg.id
+        : null;
+    // a malformed request gets an error even without an id
+    const isNotification =
+      isObject &&
+      msg.jsonrpc === "2.0" &&
+      typeof msg.method === "string" &&
+      !("id" in msg);
+
+    try {
+      if (
+        !isObject ||
+        msg.jsonrpc !== "2.0" ||
+        typeof msg.method !== "string" ||
+        ("id" in msg && id === null && msg.id !== null)
+      )
+        throw new RpcError(INVALID_REQUEST, "Invalid Request");
+
+      // own keys only: "constructor" or "toString" are not methods
+      const method = Object.hasOwn(methods, msg.method) && methods[msg.method];
+      if (!method) throw new RpcError(METHOD_NOT_FOUND, "Method not found");
+
+      const params = msg.params === undefined ? {} : msg.params;
+      if (!params || typeof params !== "object" || Array.isArray(params))
+        throw new RpcError(INVALID_PARAMS, "params must be an object");
+
+      const result = await method(ws, apiKey, params, id);
+      return isNotification ? null : { jsonrpc: "2.0", id, result };
+    } catch (err) {
+      return isNotification ? null : errorResponse(id, err);
+    }
+  }
+
+  wss.on("connection", (ws, req) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const apiKey = findApiKey(apiKeys, presentedKey(req, url));
+    if (!apiKey) {
+      ws.close(4401, "invalid_api_key");
+      return;
+    }
+    ws.subscriptions = new Map(); // jobId or messages:<account> -> unsubscribe fn
+    ws.on("close", () => {
+      for (const off of ws.subscriptions.values()) off();
+      ws.subscriptions.clear();
+    });
+
+    ws.on("message", async (raw) => {
+      let msg;
+      try {
+        msg = JSON.parse(raw);
+      } catch (e) {
+        ws.send(
+          JSON.stringify(
+            errorResponse(null, new RpcError(PARSE_ERROR, "Parse error"))
+          )
+        );
+        return;
+      }
+
+      let reply;
+      if (Array.isArray(msg)) {
+        if (!msg.length) {
+          reply = errorResponse(
+            null,
+            new RpcError(INVALID_REQUEST, "Invalid Request")
+          );
+        } else {
+          const results = await Promise.all(
+            msg.map((m) => handleOne(ws, apiKey, m))
+          );
+          reply = results.filter(Boolean);
+          if (!reply.length) return; // batch of notifications only
+        }
+      } else {
+        reply = await handleOne(ws, apiKey, msg);
+        if (!reply) return;
+      }
+      if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(reply));
+    });
+  });
+
+  logger.info("JSON-RPC endpoint attached", { path });
+  return wss;
+}
@@ -0,0 +1,189 @@
+// src/utils/attachments.js
+// Files sent with a message. Whatever form they arrive in (multipart upload,
+// base64, a path under attachmentsDir) they are checked and written to
+// data/uploads/<id>/ when the request is accepted, so a queued or journaled
+// job only ever refers to files on disk.
+import fs from "fs";
+import path from "path";
+import { randomUUID } from "crypto";
+import { ApiError } from "./errors.js";
+
+const UPLOADS_DIR = path.join(process.cwd(), "data", "uploads");
+
+// what Messenger's file picker takes that we are willing to send
+const TYPES = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".mp4": "video/mp4",
+  ".pdf": "application/pdf",
+  ".txt": "text/plain",
+  ".csv": "text/csv",
+  ".doc": "application/msword",
+  ".docx":
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  ".xls": "application/vnd.ms-excel",
+  ".xlsx": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  ".ppt": "application/vnd.ms-powerpoint",
+  ".pptx":
+    "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+  ".zip": "application/zip",
+};
+
+export const ALLOWED_EXTENSIONS = Object.keys(TYPES);
+
+const BASE64 = /^[A-Za-z0-9+/\r\n]*={0,2}$/;
+
+// keep the name the recipient sees, minus anything path-like
+function safeFilename(name) {
+  const base = path.basename(String(name || "")).replace(/[\x00-\x1f"\\]/g, "");
+  return base.slice(-120);
+}
+
+function contentTypeOf(filename, declared) {
+  const type = TYPES[path.extname(filename).toLowerCase()];
+  if (!type)
+    throw new ApiError(415, "attachment_type_not_allowed", {
+      filename,
+      allowed: ALLOWED_EXTENSIONS,
+    });
+  // a declared type only has to agree with the extension
+  if (declared && declared !== type && declared !== "application/octet-stream")
+    throw new ApiError(415, "attachment_type_mismatch", {
+      filename,
+      contentType: declared,
+      expected: type,
+    });
+  return type;
+}
+
+function checkSize(filename, size, maxBytes) {
+  if (size === 0) throw new ApiError(400, "empty_attachment", { filename });
+  if (size > maxBytes)
+    throw new ApiError(413, "attachment_too_large", { filename, maxBytes });
+}
+
+/**
+ * Validate and store a message's attachments. `list` is the request's
+ * `attachments` array of { filename, data (base64), contentType? } or
+ * { path }; `uploads` are multer files from a multipart request. Returns
+ * [{ path, filename, contentType, size, temporary }]; throws ApiError.
+ */
+export function storeAttachments(list = [], uploads = [], opts) {
+  const { maxBytes, maxCount, allowedDir } = opts;
+  if (!Array.isArray(list))
+    throw new ApiError(400, "invalid_attachment", {
+      reason: "attachments must be an array",
+    });
+  if (list.length + uploads.length > maxCount)
+    throw new ApiError(400, "too_many_attachments", { maxCount });
+
+  const dir = path.join(UPLOADS_DIR, randomUUID());
+  const stored = [];
+  const put = (filename, write) => {
+    fs.mkdirSync(dir, { recursive: true });
+    // index prefix keeps two "photo.jpg" apart
+    const file = path.join(dir, `${stored.length}-${filename}`);
+    write(file);
+    return file;
+  };
+
+  try {
+    for (const upload of uploads) {
+      const filename = safeFilename(upload.originalname);
+      const contentType = contentTypeOf(filename, upload.mimetype);
+      checkSize(filename, upload.size, maxBytes);
+      const file = put(filename, (to) => fs.renameSync(upload.path, to));
+      stored.push({
+        path: file,
+        filename,
+        contentType,
+        size: upload.size,
+        temporary: true,
+      });
+    }
+
+    for (const item of list) {
+      if (!item || typeof item !== "object")
+        throw new ApiError(400, "invalid_attachment", {
+          reason: "each attachment must be an object",
+        });
+
+      if (item.path !== undefined) {
+        const root = path.resolve(allowedDir);
+        const notAllowed = () =>
+          new ApiError(403, "attachment_path_not_allowed", { path: item.path });
+        const named = path.resolve(root, String(item.path));
+        if (!named.startsWith(root + path.sep)) throw notAllowed();
+        // checked again with symlinks resolved, so none can lead out
+        let file, stat;
+        try {
+          file = fs.realpathSync(named);
+          stat = fs.statSync(file);
+        } catch {
+          stat = null;
+        }
+        if (stat && !file.startsWith(fs.realpathSync(root) + path.sep))
+          throw notAllowed();
+        if (!stat || !stat.isFile())
+          throw new ApiError(400, "attachment_not_found", { path: item.path });
+        const filename = safeFilename(item.filename || named);
+        const contentType = contentTypeOf(filename, item.contentType);
+        checkSize(filename, stat.size, maxBytes);
+        // operators' own files are sent in place, never deleted
+        stored.push({
+          path: file,
+          filename,
+          contentType,
+          size: stat.size,
+          temporary: false,
+        });
+        continue;
+      }
+
+      const filename = safeFilename(item.filename);
+      if (!filename || typeof item.data !== "string")
+        throw new ApiError(400, "invalid_attachment", {
+          reason: "needs { filename, data } or { path }",
+        });
+      const contentType = contentTypeOf(filename, item.contentType);
+      const data = item.data.replace(/^data:[^;,]*;base64,/, "");
+      if (!BASE64.test(data))
+        throw new ApiError(400, "invalid_attachment", {
+          filename,
+          reason: "data is not base64",
+        });
+      const bytes = Buffer.from(data, "base64");
+      checkSize(filename, bytes.length, maxBytes);
+      const file = put(filename, (to) => fs.writeFileSync(to, bytes));
+      stored.push({
+        path: file,
+        filename,
+        contentType,
+        size: bytes.length,
+        temporary: true,
+      });
+    }
+  } catch (err) {
+    fs.rmSync(dir, { recursive: true, force: true });
+    throw err;
+  }
+  return stored;
+}
+
+// drop the stored copies once the job that used them has finished
+export function removeAttachments(list = []) {
+  const dirs = new Set(
+    list.filter((a) => a.temporary).map((a) => path.dirname(a.path))
+  );
+  for (const dir of dirs) {
+    // only ever our own upload folders
+    if (path.dirname(dir) !== UPLOADS_DIR) continue;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// where multer puts multipart files before storeAttachments() takes them
+export const UPLOAD_TMP_DIR = path.join(UPLOADS_DIR, "tmp");
@@ -0,0 +1,132 @@
+// src/utils/auth.js
+import fs from "fs";
+import path from "path";
+import { timingSafeEqual } from "crypto";
+import logger from "./logger.js";
+
+export const SCOPES = [
+  "send",
+  "friend",
+  "read",
+  "session-admin",
+  "template-admin",
+];
+
+const DEFAULT_KEYS_FILE = path.join(process.cwd(), "config", "api-keys.json");
+
+/**
+ * Load API keys from a JSON file (see config/api-keys.example.json):
+ *   [{ "name": "crm", "key": "...", "scopes": ["send"], "sessions": ["default"] }]
+ * `sessions: ["*"]` lets a key act as any session.
+ * A missing file means no key is valid, so every protected route answers 401.
+ */
+export function loadApiKeys(file = DEFAULT_KEYS_FILE) {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    logger.warn("No API keys loaded, all protected routes will reject", {
+      file,
+      error: err.message,
+    });
+    return [];
+  }
+
+  const list = Array.isArray(parsed) ? parsed : parsed.keys || [];
+  return list.filter((k, i) => {
+    const problems = [];
+    if (!k || typeof k.key !== "string" || k.key.length < 16)
+      problems.push("key must be a string of at least 16 chars");
+    const scopes = (k && k.scopes) || [];
+    const unknown = scopes.filter((s) => !SCOPES.includes(s));
+    if (unknown.length) problems.push(`unknown scopes: ${unknown.join(", ")}`);
+    if (!k || !Array.isArray(k.sessions) || !k.sessions.length)
+      problems.push("sessions must be a non-empty array");
+    if (problems.length) {
+      logger.error("Ignoring invalid API key entry", {
+        index: i,
+        name: k && k.name,
+        problems,
+      });
+      return false;
+    }
+    return true;
+  });
+}
+
+function safeEqual(a, b) {
+  const ba = Buffer.from(a);
+  const bb = Buffer.from(b);
+  return ba.length === bb.length && timingSafeEqual(ba, bb);
+}
+
+export function findApiKey(keys, presented) {
+  if (!presented) return null;
+  return keys.find((k) => safeEqual(k.key, presented)) || null;
+}
+
+export function canActAs(apiKey, sessionName) {
+  if (!apiKey) return false;
+  return apiKey.sessions.includes("*") || apiKey.sessions.includes(sessionName);
+}
+
+// x-api-key header, or Authorization: Bearer <key>; ?token= only where
+// the client can't set headers (EventSource)
+function presentedKey(req, allowQueryToken) {
+  const header = req.get("x-api-key");
+  if (header) return header.trim();
+  const authz = req.get("authorization") || "";
+  const m = authz.match(/^Bearer\s+(.+)$/i);
+  if (m) return m[1].trim();
+  if (allowQueryToken && typeof req.query.token === "string")
+    return req.query.token;
+  return null;
+}
+
+// 401 unless a known key is presented; attaches it as req.apiKey
+export function authenticate(keys, { allowQueryToken = false } = {}) {
+  return (req, res, next) => {
+    const presented = presentedKey(req, allowQueryToken);
+    if (!presented) {
+      return res
+        .status(401)
+        .set("WWW-Authenticate", "Bearer")
+        .json({ success: false, error: "missing_api_key" });
+    }
+    const apiKey = findApiKey(keys, presented);
+    if (!apiKey) {
+      logger.warn("Rejected unknown API key", { path: req.path, ip: req.ip });
+      return res
+        .status(401)
+        .set("WWW-Authenticate", "Bearer")
+        .json({ success: false, error: "invalid_api_key" });
+    }
+    req.apiKey = apiKey;
+    next();
+  };
+}
+
+/**
+ * 403 unless req.apiKey has `scope` (or one of an array of scopes) and is
+ * bound to the session the request targets. `sessionOf(req)` picks the
+ * session name out of the request; null for routes not tied to a session.
+ */
+export function requireScope(scope, sessionOf = () => "default") {
+  const scopes = [].concat(scope);
+  return (req, res, next) => {
+    const apiKey = req.apiKey;
+    if (!apiKey || !scopes.some((s) => apiKey.scopes.includes(s))) {
+      return res
+        .status(403)
+        .json({ success: false, error: "insufficient_scope", scope });
+    }
+    if (!sessionOf) return next();
+    const sessionName = sessionOf(req);
+    if (!canActAs(apiKey, sessionName)) {
+      return res
+        .status(403)
+        .json({ success: false, error: "session_not_allowed", sessionName });
+    }
+    next();
+  };
+}
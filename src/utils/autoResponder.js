@@ -0,0 +1,522 @@
+// src/utils/autoResponder.js
+// Reply rules for incoming messages seen by the inbox watcher, e.g.
+//   { "id": "after-hours", "account": "sales-fa", "priority": 10,
+//     "match": { "type": "keyword", "keywords": ["price", "قیمت"] },
+//     "when": "outside_business_hours",
+//     "businessHours": { "days": ["sat", "sun", "mon", "tue", "wed"],
+//                        "from": "09:00", "to": "17:00" },
+//     "cooldownMs": 3600000, "template": "closed-now" }
+// match.type is "keyword", "regex" ({ pattern, flags }) or "first_message";
+// a regex gets REGEX_TIMEOUT_MS per message and fails to match past that.
+// The first enabled rule of the account that matches sends its template
+// through the sendMessage action, at most once per cooldownMs per contact.
+import fs from "fs";
+import path from "path";
+import vm from "vm";
+import { randomUUID } from "crypto";
+import logger from "./logger.js";
+import { ApiError } from "./errors.js";
+import { isValidSessionName } from "./session.js";
+import { isValidTemplateName } from "./templates.js";
+
+const DEFAULT_FILE = path.join(process.cwd(), "data", "auto-replies.json");
+const DEFAULT_LOG_FILE = path.join(process.cwd(), "data", "auto-replies.jsonl");
+
+const ID = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+const DAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const CLOCK = /^([01]\d|2[0-3]):[0-5]\d$/;
+const WHEN = ["always", "business_hours", "outside_business_hours"];
+const MAX_PATTERN = 500;
+const REGEX_TIMEOUT_MS = 50;
+const LOG_SIZE = 1000; // entries kept in memory for GET /auto-replies/log
+
+// what the replies are submitted as; rules are managed by keys with "send"
+// on the account, so this only ever does what they could do themselves
+const RESPONDER_KEY = {
+  name: "auto-responder",
+  scopes: ["send"],
+  sessions: ["*"],
+};
+
+export const isValidRuleId = (id) => typeof id === "string" && ID.test(id);
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// a keyword matches as a whole word (or phrase), in any script and case
+function keywordPattern(keywords) {
+  const alternatives = keywords.map((k) => escapeRegExp(k.trim()));
+  return new RegExp(
+    `(?<![\\p{L}\\p{N}])(?:${alternatives.join("|")})(?![\\p{L}\\p{N}])`,
+    "iu"
+  );
+}
+
+// rule patterns come from API callers; "(a+)+$" would hold the event loop
+// for minutes, so they run where a timeout can stop them
+const regexContext = vm.createContext({});
+const regexScript = new vm.Script("new RegExp(pattern, flags).test(text)");
+
+function regexMatches(rule, pattern, flags, text) {
+  Object.assign(regexContext, { pattern, flags, text });
+  try {
+    return regexScript.runInContext(regexContext, {
+      timeout: REGEX_TIMEOUT_MS,
+    });
+  } catch (err) {
+    logger.warn("Auto-reply pattern gave up", {
+      rule: rule.id,
+      error: err.code || err.message,
+    });
+    return false;
+  }
+}
+
+function matches(rule, event) {
+  const { match } = rule;
+  if (match.type === "first_message") return event.newThread;
+  const text = (event.text || "").slice(0, 2000);
+  if (match.type === "keyword")
+    return keywordPattern(match.keywords).test(text);
+  return regexMatches(rule, match.pattern, match.flags || "", text);
+}
+
+// wall clock in `timezone` as { day: "mon", minutes: 0..1439 }
+function localTime(date, timezone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone,
+      weekday: "short",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(date)
+      .map((p) => [p.type, p.value])
+  );
+  return {
+    day: parts.weekday.toLowerCase(),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+}
+
+const toMinutes = (clock) => {
+  const [h, m] = clock.split(":").map(Number);
+  return h * 60 + m;
+};
+
+/**
+ * Whether `date` falls in `hours` ({ days, from, to, timezone }). A range
+ * past midnight ("22:00"-"06:00") belongs to the day it starts on.
+ */
+export function inBusinessHours(hours, date, timezone) {
+  const { day, minutes } = localTime(date, hours.timezone || timezone);
+  const from = toMinutes(hours.from);
+  const to = toMinutes(hours.to);
+  if (from <= to)
+    return hours.days.includes(day) && minutes >= from && minutes < to;
+  const yesterday = DAYS[(DAYS.indexOf(day) + 6) % 7];
+  return (
+    (hours.days.includes(day) && minutes >= from) ||
+    (hours.days.includes(yesterday) && minutes < to)
+  );
+}
+
+function validTimezone(tz) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// problems with a rule body sent to PUT /auto-replies/rules/:id
+function checkRule(body, templateExists) {
+  if (!body || typeof body !== "object" || Array.isArray(body))
+    return ["rule must be an object"];
+  const problems = [];
+  const { match, businessHours, when = "always" } = body;
+
+  if (!isValidSessionName(body.account))
+    problems.push("account must be an account name");
+  if (!match || typeof match !== "object")
+    problems.push("match must be an object with a type");
+  else if (match.type === "keyword") {
+    const { keywords } = match;
+    if (
+      !Array.isArray(keywords) ||
+      !keywords.length ||
+      !keywords.every((k) => typeof k === "string" && k.trim())
+    )
+      problems.push("match.keywords must be a list of non-empty strings");
+  } else if (match.type === "regex") {
+    if (typeof match.pattern !== "string" || !match.pattern)
+      problems.push("match.pattern must be a regular expression");
+    else if (match.pattern.length > MAX_PATTERN)
+      problems.push(`match.pattern is over ${MAX_PATTERN} characters`);
+    else if (
+      match.flags !== undefined &&
+      !(typeof match.flags === "string" && /^[imsu]*$/.test(match.flags))
+    )
+      problems.push("match.flags may only use i, m, s and u");
+    else
+      try {
+        new RegExp(match.pattern, match.flags || "");
+      } catch (err) {
+        problems.push(`match.pattern: ${err.message}`);
+      }
+  } else if (match.type !== "first_message")
+    problems.push("match.type must be keyword, regex or first_message");
+
+  if (!WHEN.includes(when)) problems.push(`when must be ${WHEN.join(", ")}`);
+  if (when !== "always" && businessHours === undefined)
+    problems.push(`when: ${when} needs businessHours`);
+  if (businessHours !== undefined) {
+    const h = businessHours;
+    if (!h || typeof h !== "object")
+      problems.push("businessHours must be { days, from, to, timezone? }");
+    else {
+      if (
+        !Array.isArray(h.days) ||
+        !h.days.length ||
+        !h.days.every((d) => DAYS.includes(d))
+      )
+        problems.push(
+          `businessHours.days must be a list of ${DAYS.join(", ")}`
+        );
+      if (!CLOCK.test(h.from) || !CLOCK.test(h.to) || h.from === h.to)
+        problems.push('businessHours.from and .to must be distinct "HH:MM"');
+      if (h.timezone !== undefined && !validTimezone(h.timezone))
+        problems.push("businessHours.timezone is not a known time zone");
+    }
+  }
+
+  if (!(Number.isInteger(body.cooldownMs) && body.cooldownMs > 0))
+    problems.push("cooldownMs must be a positive integer");
+  if (!isValidTemplateName(body.template))
+    problems.push("template must be a template name");
+  else if (!templateExists(body.template))
+    problems.push(`template ${body.template} does not exist`);
+  const { variables } = body;
+  if (variables !== undefined)
+    if (!variables || typeof variables !== "object" || Array.isArray(variables))
+      problems.push("variables must be an object");
+    else
+      for (const [k, v] of Object.entries(variables))
+        if (typeof v !== "string" && typeof v !== "number")
+          problems.push(`variables.${k} must be a string or a number`);
+  for (const k of ["enabled", "includeGroups", "dryRun"])
+    if (body[k] !== undefined && typeof body[k] !== "boolean")
+      problems.push(`${k} must be true or false`);
+  if (body.priority !== undefined && !Number.isInteger(body.priority))
+    problems.push("priority must be an integer");
+  if (body.locale !== undefined && typeof body.locale !== "string")
+    problems.push("locale must be a string");
+  if (body.description !== undefined && typeof body.description !== "string")
+    problems.push("description must be a string");
+  return problems;
+}
+
+// what a template can use besides the rule's own variables
+function eventVariables(event) {
+  const out = { account: event.account, message: event.text };
+  const name = event.sender && event.sender.name;
+  if (name) {
+    out.name = name;
+    out.firstName = name.split(/\s+/)[0];
+  }
+  return out;
+}
+
+/**
+ * Reply rules kept in one JSON file, re-read whenever it changes on disk (so
+ * it can be edited by hand while the server runs), and an append-only log of
+ * every automated reply: one line when it is queued (with the exact text)
+ * and one when its job finishes. Cooldowns are rebuilt from that log, so a
+ * restart does not make the responder reply twice.
+ */
+export default class AutoResponder {
+  constructor({ submit, jobs, templates, timezoneOf, ...opts }) {
+    this.submit = submit; // actions.submit
+    this.jobs = jobs;
+    this.templates = templates;
+    this.timezoneOf = timezoneOf; // account -> IANA zone for businessHours
+    this.file = opts.file || DEFAULT_FILE;
+    this.logFile = opts.logFile || DEFAULT_LOG_FILE;
+    this.reloadMs = opts.reloadMs || 2000;
+    this.rules = this._load();
+    this.entries = new Map(); // audit id -> entry, oldest first
+    this.lastReply = new Map(); // `${ruleId}\0${account}\0${threadId}` -> ms
+    this._loadLog();
+
+    this._onJob = (job) => this._finished(job);
+    this.jobs.on("job", this._onJob);
+  }
+
+  // pick up edits made to the file by hand
+  start() {
+    fs.watchFile(this.file, { interval: this.reloadMs }, () => this.reload());
+  }
+
+  stop() {
+    fs.unwatchFile(this.file);
+    this.jobs.off("job", this._onJob);
+  }
+
+  reload() {
+    this.rules = this._load();
+    logger.info("Auto-reply rules loaded", { rules: this.rules.size });
+  }
+
+  _load() {
+    let list;
+    try {
+      list = JSON.parse(fs.readFileSync(this.file, "utf8"));
+    } catch (err) {
+      if (err.code !== "ENOENT")
+        logger.error("Could not read auto-reply rules", {
+          file: this.file,
+          error: err.message,
+        });
+      // keep what we had rather than go silent over a half-saved file
+      return err.code === "ENOENT" ? new Map() : this.rules || new Map();
+    }
+    const rules = new Map(); // id -> rule
+    for (const r of Array.isArray(list) ? list : []) {
+      // a template deleted since is reported per reply, not here
+      const problems = isValidRuleId(r && r.id)
+        ? checkRule(r, () => true)
+        : ["bad id"];
+      if (problems.length) {
+        logger.error("Ignoring invalid auto-reply rule", {
+          id: r && r.id,
+          problems,
+        });
+        continue;
+      }
+      rules.set(r.id, r);
+    }
+    return rules;
+  }
+
+  _save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = this.file + ".tmp";
+    fs.writeFileSync(tmp, JSON.stringify(this.list(), null, 2));
+    fs.renameSync(tmp, this.file);
+  }
+
+  _templateExists(name) {
+    try {
+      this.templates.get(name);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  // rules in the order they are tried: priority, then id
+  list(account) {
+    return [...this.rules.values()]
+      .filter((r) => !account || r.account === account)
+      .sort(
+        (a, b) =>
+          (a.priority ?? 100) - (b.priority ?? 100) || a.id.localeCompare(b.id)
+      );
+  }
+
+  // the rule or ApiError 404
+  get(id) {
+    const rule = isValidRuleId(id) && this.rules.get(id);
+    if (!rule) throw new ApiError(404, "rule_not_found", { rule: id });
+    return rule;
+  }
+
+  // create or replace; returns { rule, created }
+  put(id, body = {}) {
+    if (!isValidRuleId(id))
+      throw new ApiError(400, "invalid_rule_id", {
+        rule: "letters, digits, _ and -, up to 64",
+      });
+    const problems = checkRule(body, (name) => this._templateExists(name));
+    if (problems.length) throw new ApiError(400, "invalid_rule", { problems });
+
+    const existing = this.rules.get(id);
+    const now = new Date().toISOString();
+    const rule = {
+      id,
+      account: body.account,
+      description: body.description || "",
+      enabled: body.enabled ?? true,
+      priority: body.priority ?? 100,
+      match: body.match,
+      when: body.when || "always",
+      ...(body.businessHours && { businessHours: body.businessHours }),
+      includeGroups: body.includeGroups ?? false,
+      cooldownMs: body.cooldownMs,
+      template: body.template,
+      variables: body.variables || {},
+      ...(body.locale && { locale: body.locale }),
+      dryRun: body.dryRun ?? false,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now,
+    };
+    this.rules.set(id, rule);
+    this._save();
+    return { rule, created: !existing };
+  }
+
+  remove(id) {
+    this.get(id);
+    this.rules.delete(id);
+    this._save();
+  }
+
+  // the rule that answers `event`, if any
+  pick(event, now = new Date()) {
+    for (const rule of this.list(event.account)) {
+      if (!rule.enabled) continue;
+      if (event.isGroup && !rule.includeGroups) continue;
+      if (rule.when !== "always") {
+        const inside = inBusinessHours(
+          rule.businessHours,
+          now,
+          this.timezoneOf(rule.account)
+        );
+        if (inside !== (rule.when === "business_hours")) continue;
+      }
+      if (!matches(rule, event)) continue;
+      const last = this.lastReply.get(this._cooldownKey(rule, event));
+      if (last && now.getTime() - last < rule.cooldownMs) {
+        logger.info("Auto-reply skipped, cooling down", {
+          rule: rule.id,
+          threadId: event.threadId,
+        });
+        return null;
+      }
+      return rule;
+    }
+    return null;
+  }
+
+  _cooldownKey(rule, event) {
+    return `${rule.id}\u0000${event.account}\u0000${event.threadId}`;
+  }
+
+  /**
+   * Answer a message.received event from the inbox watcher. Returns the
+   * audit entry of the queued (or refused) reply, or null when no rule
+   * applies.
+   */
+  handle(event, now = new Date()) {
+    const rule = this.pick(event, now);
+    if (!rule) return null;
+
+    const entry = {
+      id: randomUUID(),
+      at: now.toISOString(),
+      account: event.account,
+      rule: rule.id,
+      threadId: event.threadId,
+      sender: event.sender,
+      incoming: { id: event.id, text: event.text },
+      template: rule.template,
+      dryRun: rule.dryRun,
+    };
+    try {
+      const job = this.submit(RESPONDER_KEY, "sendMessage", {
+        account: event.account,
+        recipient: `thread:${event.threadId}`,
+        template: rule.template,
+        variables: { ...eventVariables(event), ...rule.variables },
+        locale: rule.locale,
+        dryRun: rule.dryRun || undefined,
+      });
+      Object.assign(entry, {
+        jobId: job.id,
+        text: job.params.text,
+        locale: job.params.templateLocale,
+        status: "queued",
+      });
+      this.lastReply.set(this._cooldownKey(rule, event), now.getTime());
+    } catch (err) {
+      Object.assign(entry, {
+        status: "refused",
+        error: err.code || err.message,
+      });
+      logger.warn("Auto-reply refused", {
+        rule: rule.id,
+        threadId: event.threadId,
+        error: entry.error,
+      });
+    }
+    this._append(entry);
+    return entry;
+  }
+
+  _finished(job) {
+    if (job.status !== "succeeded" && job.status !== "failed") return;
+    const entry = [...this.entries.values()].find(
+      (e) => e.jobId === job.id && e.status === "queued"
+    );
+    if (!entry) return;
+    this._append({
+      id: entry.id,
+      status: job.result && job.result.success ? "sent" : "failed",
+      error: (job.result && job.result.error) || job.error || null,
+      finishedAt: job.finishedAt,
+    });
+  }
+
+  _append(line) {
+    try {
+      fs.mkdirSync(path.dirname(this.logFile), { recursive: true });
+      fs.appendFileSync(this.logFile, JSON.stringify(line) + "\n");
+    } catch (err) {
+      logger.error("Could not write auto-reply log", { error: err.message });
+    }
+    this._remember(line);
+  }
+
+  // fold a log line into its entry (the first line of an id starts it)
+  _remember(line) {
+    const entry = this.entries.get(line.id);
+    if (entry) Object.assign(entry, line);
+    else {
+      this.entries.set(line.id, { ...line });
+      if (this.entries.size > LOG_SIZE)
+        this.entries.delete(this.entries.keys().next().value);
+    }
+    if (line.rule && line.status === "queued")
+      this.lastReply.set(
+        `${line.rule}\u0000${line.account}\u0000${line.threadId}`,
+        Date.parse(line.at)
+      );
+  }
+
+  _loadLog() {
+    let raw = "";
+    try {
+      raw = fs.readFileSync(this.logFile, "utf8");
+    } catch {
+      return;
+    }
+    for (const text of raw.split("\n")) {
+      if (!text.trim()) continue;
+      try {
+        this._remember(JSON.parse(text));
+      } catch {
+        // a torn last line from a crash
+      }
+    }
+  }
+
+  // newest first
+  log({ account, since, limit = 100, visible = () => true } = {}) {
+    return [...this.entries.values()]
+      .filter((e) => (!account || e.account === account) && visible(e))
+      .filter((e) => !since || Date.parse(e.at) >= Date.parse(since))
+      .reverse()
+      .slice(0, limit);
+  }
+}
@@ -0,0 +1,52 @@
+// src/utils/browser.js
+import { chromium } from "playwright";
+
+// settings come from config.js (headless, viewport, userAgent, locale, timezoneId)
+export async function launchBrowser({
+  headless = false,
+  viewport = { width: 1280, height: 800 },
+} = {}) {
+  return chromium.launch({
+    headless,
+    args: [
+      "--no-sandbox",
+      "--disable-setuid-sandbox",
+      "--disable-dev-shm-usage",
+      "--disable-blink-features=AutomationControlled",
+      `--window-size=${viewport.width},${viewport.height}`,
+    ],
+  });
+}
+
+// Create context with sane viewport and a normal userAgent
+export async function newStealthContext(browser, opts) {
+  const { viewport, userAgent, locale, timezoneId } = opts;
+  const context = await browser.newContext({
+    viewport,
+    userAgent,
+    locale,
+    timezoneId,
+  });
+
+  // navigator.languages to match the locale, e.g. ["en-US", "en"]
+  const languages = [...new Set([locale, locale.split("-")[0]])];
+
+  // Small stealth-ish adjustments applied to every page in this context
+  await context.addInitScript((languages) => {
+    // hide webdriver
+    Object.defineProperty(navigator, "webdriver", { get: () => undefined });
+
+    // minimal chrome object
+    window.chrome = window.chrome || { runtime: {} };
+
+    // languages
+    Object.defineProperty(navigator, "languages", {
+      get: () => languages,
+    });
+
+    // plugins length
+    Object.defineProperty(navigator, "plugins", { get: () => [1, 2, 3, 4, 5] });
+  }, languages);
+
+  return context;
+}
@@ -0,0 +1,358 @@
+// src/utils/commandParser.js
+// Deterministic parser for the free-text commands typed into test.html, e.g.
+//   send to Mahdi Merzaye how it is going?
+//   send hello to Ali
+//   add Sara Ahmadi as friend
+//   به علی بگو سلام
+//   درخواست دوستی برای سارا بفرست
+// No guessing beyond the rules below: anything else is unrecognized_command.
+
+const MAX_LENGTH = 2000;
+
+// words that start a message rather than continue a capitalized name
+const MESSAGE_STARTERS = new Set([
+  "hi",
+  "hello",
+  "hey",
+  "salam",
+  "how",
+  "what",
+  "when",
+  "where",
+  "why",
+  "who",
+  "are",
+  "is",
+  "can",
+  "could",
+  "do",
+  "did",
+  "please",
+  "thanks",
+  "thank",
+  "good",
+  "i",
+  "we",
+  "you",
+  "he",
+  "she",
+  "it",
+  "they",
+  "me",
+  "my",
+  "our",
+  "your",
+  "his",
+  "her",
+  "their",
+  "this",
+  "that",
+  "there",
+  "here",
+  "yes",
+  "no",
+  "ok",
+  "okay",
+  "sorry",
+  "see",
+  "just",
+  "happy",
+]);
+const MAX_NAME_WORDS = 5;
+// a name told only by its Capitalized (or lowercase) words is taken up to
+// this long; longer ones need ":" or quotes
+const GUESSED_NAME_WORDS = 2;
+// after one of these a Capitalized word starts the message: "Hope you are
+// well", "Tomorrow works"
+const FOLLOWS_MESSAGE_START = new Set([
+  "i",
+  "you",
+  "we",
+  "he",
+  "she",
+  "it",
+  "they",
+  "me",
+  "us",
+  "him",
+  "them",
+  "is",
+  "are",
+  "am",
+  "was",
+  "were",
+  "will",
+  "would",
+  "can",
+  "could",
+  "should",
+  "works",
+  "work",
+  "be",
+  "have",
+  "has",
+  "had",
+  "do",
+  "does",
+  "did",
+  "sounds",
+  "looks",
+  "see",
+  "know",
+  "got",
+  "get",
+  "went",
+  "go",
+  "need",
+  "want",
+  "let's",
+]);
+// I'm, you're, it's, we'll, she'd, they've, don't: not part of a name
+// (O'Brien is)
+const CONTRACTION = /^\p{L}+['’](?:m|re|s|ll|d|ve|t)$/iu;
+const NAME_WORD = /^[\p{Lu}\p{Lo}][\p{L}'’.-]*$/u;
+// "send Ali a message" names the thing, not what it says
+const PLACEHOLDER = /^(?:an?\s+)?(?:message|msg|text|note|dm)$/i;
+const TRAILING_PLACEHOLDER = /\s+(?:an?\s+)?(?:message|msg|text|note|dm)$/i;
+
+const TRAILING_PUNCTUATION = /[\s.,:;!?،؛؟]+$/u;
+const QUOTED = /^["“«'](.+?)["”»']\s*[:,،]?\s*(.*)$/su;
+// URL, @username, numeric ID or thread:<id> (see recipient.js)
+const EXACT_FIRST =
+  /^(https?:\/\/\S+|@[A-Za-z0-9.]+|\d{5,20}|thread:\S+?)\s*[:,]?\s+(.*)$/su;
+
+function normalize(input) {
+  return (
+    input
+      // Arabic yeh / kaf typed on some keyboards; ZWNJ is left alone, it is
+      // part of the word in Persian
+      .replace(/ي/g, "ی")
+      .replace(/ك/g, "ک")
+      .replace(/\s+/g, " ")
+      .trim()
+  );
+}
+
+const cleanName = (s) => s.replace(TRAILING_PUNCTUATION, "").trim();
+
+const isNameWord = (word) =>
+  NAME_WORD.test(word) &&
+  !CONTRACTION.test(word) &&
+  !MESSAGE_STARTERS.has(word.toLowerCase());
+
+// URL, @username, numeric ID or thread:<id> on its own
+const isExact = (s) =>
+  /^(?:https?:\/\/\S+|@[A-Za-z0-9.]+|\d{5,20}|thread:\S+)$/.test(s);
+
+// what "add <x>" may befriend: an exact recipient, or a few Capitalized
+// words ("add 3 items to cart" is not about a person)
+function looksLikeName(s) {
+  const name = cleanName(s);
+  if (isExact(name)) return true;
+  const words = name.split(" ");
+  return words.length <= MAX_NAME_WORDS && words.every(isNameWord);
+}
+
+/**
+ * Split "<recipient> <text>" when nothing but the words themselves mark
+ * where the name ends: quotes, an exact recipient (URL, @username, ID),
+ * ":" / ",", "saying" / "that", or else the run of Capitalized words at
+ * the start (at most two; a Capitalized word followed by a pronoun or verb
+ * already starts the text). Returns null when that run is too long to guess.
+ */
+function splitRecipient(rest) {
+  // "send to Ali:" says who but not what
+  let m = rest.match(/^([^:،]+?)\s*[:،]$/u);
+  if (m) return { recipient: cleanName(m[1]), text: "" };
+
+  m = rest.match(QUOTED) || rest.match(EXACT_FIRST);
+  if (m) return { recipient: cleanName(m[1]), text: m[2].trim() };
+
+  m = rest.match(/^(.+?)\s*(?:[:,،]|\s(?:saying|that)\s)\s*(.+)$/su);
+  if (m) {
+    // "Ali a message saying hi"
+    const recipient = cleanName(m[1]).replace(TRAILING_PLACEHOLDER, "");
+    if (recipient.split(" ").length <= MAX_NAME_WORDS)
+      return { recipient: cleanName(recipient), text: m[2].trim() };
+  }
+
+  const words = rest.split(" ");
+  const startsMessage = (i) =>
+    FOLLOWS_MESSAGE_START.has((words[i + 1] || "").toLowerCase());
+  const name = [];
+  for (const [i, word] of words.entries()) {
+    if (!isNameWord(word) || (name.length && startsMessage(i))) break;
+    name.push(word);
+  }
+  // "Ali Reza Karimi hello": a long name, or a name and Capitalized text?
+  if (name.length > GUESSED_NAME_WORDS) return null;
+  if (!name.length) {
+    // "mahdi merzaye how it is going?": lowercase, so only up to a word
+    // that plainly starts the message
+    const end = words.findIndex(
+      (w) => MESSAGE_STARTERS.has(w.toLowerCase()) || CONTRACTION.test(w)
+    );
+    if (end < 1 || end > GUESSED_NAME_WORDS) return null;
+    name.push(...words.slice(0, end));
+  }
+  return {
+    recipient: cleanName(name.join(" ")),
+    text: words.slice(name.length).join(" "),
+  };
+}
+
+const message = (recipient, text) => ({
+  action: "sendMessage",
+  recipient: cleanName(recipient),
+  text: text.trim(),
+});
+const friend = (recipient) => ({
+  action: "friendRequest",
+  recipient: cleanName(recipient),
+});
+
+// tried in order; the first matching rule wins. `split` rules hand the part
+// after the verb to splitRecipient()
+const RULES = [
+  // ----- English -----
+  {
+    language: "en",
+    re: /^(?:please\s+)?(?:send\s+)?(?:a\s+)?friend\s+request\s+(?:to\s+)?(.+)$/i,
+    build: (m) => friend(m[1]),
+  },
+  {
+    language: "en",
+    re: /^(?:please\s+)?add\s+(.+?)\s+as\s+(?:a\s+)?friend[.!]?$/i,
+    build: (m) => (/^\d/.test(m[1]) && !isExact(m[1]) ? null : friend(m[1])),
+  },
+  {
+    language: "en",
+    re: /^(?:please\s+)?add\s+(.+?)[.!]?$/i,
+    build: (m) => (looksLikeName(m[1]) ? friend(m[1]) : null),
+  },
+  {
+    language: "en",
+    re: /^(?:please\s+)?befriend\s+(.+)$/i,
+    build: (m) => friend(m[1]),
+  },
+  {
+    // send "hello there" to Mahdi
+    language: "en",
+    re: /^(?:please\s+)?(?:send|sent|say|write)\s+["“](.+?)["”]\s+to\s+(.+)$/i,
+    build: (m) => message(m[2], m[1]),
+  },
+  {
+    // send hello to Ali (the last "to", and only before a name)
+    language: "en",
+    re: /^(?:please\s+)?(?:send|sent|say|write|text)\s+(?!to\s)(.+)\s+to\s+(\S.*?)[.!]?$/i,
+    build: (m) => (looksLikeName(m[2]) ? message(m[2], m[1]) : null),
+  },
+  {
+    // "sent" is how people actually type it
+    language: "en",
+    re: /^(?:please\s+)?(?:send|sent|write|text|message|msg|dm)\s+(?:(?:a\s+)?(?:message|msg|text)\s+)?(?:to\s+)?(.+)$/i,
+    split: true,
+  },
+  {
+    language: "en",
+    re: /^(?:please\s+)?tell\s+(.+)$/i,
+    split: true,
+  },
+
+  // ----- Persian -----
+  {
+    // درخواست دوستی برای سارا بفرست
+    language: "fa",
+    re: /^(?:یک\s+)?درخواست\s+دوستی\s+(?:به|برای)\s+(.+?)\s+(?:بفرست|بده|ارسال\s+کن)$/u,
+    build: (m) => friend(m[1]),
+  },
+  {
+    // به سارا درخواست دوستی بده
+    language: "fa",
+    re: /^(?:به|برای)\s+(.+?)\s+(?:یک\s+)?درخواست\s+دوستی\s+(?:بفرست|بده|ارسال\s+کن)$/u,
+    build: (m) => friend(m[1]),
+  },
+  {
+    // سارا را به دوستان اضافه کن
+    language: "fa",
+    re: /^(.+?)\s+(?:را|رو)\s+(?:به\s+(?:لیست\s+)?دوستان\s+)?(?:اضافه|اد)\s+کن$/u,
+    build: (m) => friend(m[1]),
+  },
+  {
+    // به علی بگو سلام / برای علی بنویس که فردا میام
+    language: "fa",
+    re: /^(?:به|برای)\s+(.+?)\s+(?:بگو|بنویس)\s*(?:که\s+)?[:：]?\s*(.+)$/su,
+    build: (m) => message(m[1], m[2]),
+  },
+  {
+    // به علی پیام بده: سلام
+    language: "fa",
+    re: /^(?:به|برای)\s+(.+?)\s+(?:یک\s+)?پیام\s+(?:بده|بفرست|ارسال\s+کن|بنویس)\s*(?:که\s+)?[:：]?\s*(.+)$/su,
+    build: (m) => message(m[1], m[2]),
+  },
+  {
+    // پیام به علی: سلام / بفرست برای علی: سلام
+    language: "fa",
+    re: /^(?:پیام|بفرست|ارسال\s+کن)\s+(?:به|برای)\s+(.+?)\s*[:،]\s*(.+)$/su,
+    build: (m) => message(m[1], m[2]),
+  },
+];
+
+/**
+ * Parse a free-text command into { ok: true, language, intent } where intent
+ * is { action: "sendMessage", recipient, text } or { action: "friendRequest",
+ * recipient }; or { ok: false, error, hint }.
+ */
+export function parseCommand(input) {
+  if (typeof input !== "string" || !input.trim())
+    return { ok: false, error: "no_command" };
+  if (input.length > MAX_LENGTH)
+    return { ok: false, error: "command_too_long" };
+  const command = normalize(input);
+
+  for (const rule of RULES) {
+    const m = command.match(rule.re);
+    if (!m) continue;
+
+    let intent;
+    if (rule.split) {
+      const parts = splitRecipient(m[1]);
+      if (!parts)
+        return {
+          ok: false,
+          error: "recipient_unclear",
+          hint: 'Capitalize the name or separate it with ":", e.g. "send to Mahdi: hi"',
+        };
+      intent = message(parts.recipient, parts.text);
+    } else {
+      // null: the words fit the pattern but not the meaning
+      intent = rule.build(m);
+      if (!intent) continue;
+    }
+
+    if (!intent.recipient) return { ok: false, error: "recipient_unclear" };
+    if (
+      intent.action === "sendMessage" &&
+      (!intent.text || PLACEHOLDER.test(cleanName(intent.text)))
+    )
+      return {
+        ok: false,
+        error: "empty_message",
+        hint: `Say what to send, e.g. "send to ${intent.recipient}: hi"`,
+      };
+    return { ok: true, language: rule.language, intent };
+  }
+
+  return {
+    ok: false,
+    error: "unrecognized_command",
+    hint: 'Try "send to <name>: <text>" or "add <name> as friend"',
+  };
+}
+
+// one line for the confirmation prompt
+export function describeIntent(intent) {
+  if (intent.action === "friendRequest")
+    return `Send a friend request to ${intent.recipient}`;
+  return `Send "${intent.text}" to ${intent.recipient}`;
+}
@@ -0,0 +1,236 @@
+// src/utils/contextPool.js
+import FacebookController from "../controllers/facebookController.js";
+import logger from "./logger.js";
+import { newStealthContext } from "./browser.js";
+import { RetryableError } from "./errors.js";
+
+/**
+ * One isolated BrowserContext + page + FacebookController per session name,
+ * created on first use and closed again after `idleMs` without activity.
+ *
+ * If a context or page dies underneath a running job, use() rejects with a
+ * RetryableError("browser_crashed") instead of letting the job hang.
+ */
+export default class ContextPool {
+  constructor(browser = null, opts = {}) {
+    this.browser = browser;
+    this.idleMs = opts.idleMs || 15 * 60 * 1000;
+    // sessionName -> { viewport, userAgent, locale, timezoneId, minMessageIntervalMs }
+    this.settingsFor = opts.settingsFor;
+    this.entries = new Map(); // sessionName -> entry
+    this._pending = new Map(); // sessionName -> creation promise
+    this.lost = new Map(); // sessionName -> { at, error } until reopened
+    this.closed = new Map(); // sessionName -> last known state after eviction
+    this.pinned = new Set(); // never evicted for idleness (inbox watchers)
+
+    this._sweeper = setInterval(
+      () => this.sweep(),
+      Math.min(this.idleMs, 60 * 1000)
+    );
+    this._sweeper.unref();
+  }
+
+  // point the pool at a freshly (re)launched browser
+  attach(browser) {
+    this.browser = browser;
+  }
+
+  async get(sessionName = "default") {
+    const existing = this.entries.get(sessionName);
+    if (existing) return existing;
+    // two requests for a cold session must not open two contexts
+    if (!this._pending.has(sessionName)) {
+      const creating = this._create(sessionName).finally(() =>
+        this._pending.delete(sessionName)
+      );
+      this._pending.set(sessionName, creating);
+    }
+    return this._pending.get(sessionName);
+  }
+
+  async _create(sessionName) {
+    if (!this.browser || !this.browser.isConnected())
+      throw new RetryableError("browser_unavailable", "browser is not running");
+    logger.info("Opening browser context", { sessionName });
+    const settings = this.settingsFor(sessionName);
+    const context = await newStealthContext(this.browser, settings);
+    try {
+      const page = await context.newPage();
+      await page.setViewportSize(settings.viewport);
+
+      const fb = new FacebookController(page, {
+        sessionName,
+        viewport: settings.viewport,
+        minMessageIntervalMs: settings.minMessageIntervalMs,
+      });
+      await fb.initSession();
+      const previous = this.closed.get(sessionName);
+      if (previous) fb.lastSuccessAt = previous.lastSuccessAt;
+
+      const entry = {
+        sessionName,
+        context,
+        page,
+        fb,
+        busy: 0,
+        createdAt: Date.now(),
+        lastUsedAt: Date.now(),
+        closing: false,
+      };
+      // settles only when the context is lost; use() races jobs against it
+      entry.lost = new Promise((resolve, reject) => (entry._lose = reject));
+      entry.lost.catch(() => {});
+      this._watch(entry);
+      this.entries.set(sessionName, entry);
+      this.lost.delete(sessionName);
+      this.closed.delete(sessionName);
+      return entry;
+    } catch (err) {
+      await context.close().catch(() => {});
+      throw err;
+    }
+  }
+
+  _watch(entry) {
+    const onLost = (what) => () => {
+      if (entry.closing) return;
+      logger.error("Browser context lost", {
+        sessionName: entry.sessionName,
+        what,
+      });
+      this._drop(
+        entry,
+        new RetryableError("browser_crashed", `${what} while job was running`)
+      );
+    };
+    entry.page.on("crash", onLost("page crashed"));
+    entry.page.on("close", onLost("page closed"));
+    entry.context.on("close", onLost("context closed"));
+  }
+
+  // forget an entry whose context is gone and fail whoever is using it
+  _drop(entry, err) {
+    if (this.entries.get(entry.sessionName) === entry)
+      this.entries.delete(entry.sessionName);
+    entry.closing = true;
+    this._remember(entry);
+    this.lost.set(entry.sessionName, {
+      at: new Date().toISOString(),
+      error: err.code || err.message,
+    });
+    entry._lose(err);
+    entry.context.close().catch(() => {});
+  }
+
+  // the browser itself went away: every entry is dead
+  invalidateAll(err) {
+    for (const entry of [...this.entries.values()]) this._drop(entry, err);
+  }
+
+  // run fn(fb, entry) with the session's controller; keeps it from being evicted meanwhile
+  async use(sessionName, fn) {
+    const entry = await this.get(sessionName);
+    entry.busy++;
+    entry.lastUsedAt = Date.now();
+    try {
+      return await Promise.race([fn(entry.fb, entry), entry.lost]);
+    } finally {
+      entry.busy--;
+      entry.lastUsedAt = Date.now();
+    }
+  }
+
+  // keep a session's context open while something outside the queue uses it
+  pin(sessionName) {
+    this.pinned.add(sessionName);
+  }
+
+  unpin(sessionName) {
+    this.pinned.delete(sessionName);
+  }
+
+  peek(sessionName) {
+    return this.entries.get(sessionName) || null;
+  }
+
+  list() {
+    return [...this.entries.values()].map((e) => ({
+      sessionName: e.sessionName,
+      state: e.fb.state,
+      lastSuccessAt: e.fb.lastSuccessAt,
+      busy: e.busy > 0,
+      createdAt: new Date(e.createdAt).toISOString(),
+      lastUsedAt: new Date(e.lastUsedAt).toISOString(),
+    }));
+  }
+
+  _remember(entry) {
+    this.closed.set(entry.sessionName, {
+      state: entry.fb.state,
+      lastSuccessAt: entry.fb.lastSuccessAt,
+    });
+  }
+
+  // every session the pool knows about, including ones still opening, lost
+  // or evicted (`open: false`)
+  states() {
+    const out = {};
+    for (const [name, info] of this.closed)
+      out[name] = { ...info, open: false };
+    for (const [name, info] of this.lost)
+      out[name] = {
+        ...out[name],
+        state: "crashed",
+        lostAt: info.at,
+        open: false,
+      };
+    for (const name of this._pending.keys())
+      out[name] = { ...out[name], state: "launching", open: false };
+    for (const e of this.list())
+      out[e.sessionName] = {
+        state: e.state,
+        lastSuccessAt: e.lastSuccessAt,
+        open: true,
+      };
+    return out;
+  }
+
+  async evict(sessionName) {
+    const entry = this.entries.get(sessionName);
+    if (!entry) return false;
+    this.entries.delete(sessionName);
+    entry.closing = true;
+    this._remember(entry);
+    try {
+      await entry.fb.persistSession();
+    } finally {
+      // out of `entries` already: nothing else would ever close it
+      await entry.context.close().catch(() => {});
+      logger.info("Closed browser context", { sessionName });
+    }
+    return true;
+  }
+
+  async sweep() {
+    const now = Date.now();
+    for (const entry of [...this.entries.values()]) {
+      if (entry.busy > 0 || this.pinned.has(entry.sessionName)) continue;
+      if (now - entry.lastUsedAt < this.idleMs) continue;
+      logger.info("Evicting idle browser context", {
+        sessionName: entry.sessionName,
+        idleMs: now - entry.lastUsedAt,
+      });
+      await this.evict(entry.sessionName).catch((err) =>
+        logger.warn("Idle eviction failed", {
+          sessionName: entry.sessionName,
+          error: err.message,
+        })
+      );
+    }
+  }
+
+  async closeAll() {
+    clearInterval(this._sweeper);
+    for (const name of [...this.entries.keys()]) await this.evict(name);
+  }
+}
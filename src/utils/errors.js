@@ -0,0 +1,24 @@
+// src/utils/errors.js
+
+// An error the caller can safely retry later (browser restarting, context
+// lost mid-job...). `code` ends up as the `error` field of the result.
+export class RetryableError extends Error {
+  constructor(code, message = code) {
+    super(message);
+    this.name = "RetryableError";
+    this.code = code;
+    this.retryable = true;
+  }
+}
+
+// A request we refuse before any job exists; `status` is the HTTP status,
+// `code` the snake_case error returned to the caller.
+export class ApiError extends Error {
+  constructor(status, code, extra = {}) {
+    super(code);
+    this.name = "ApiError";
+    this.status = status;
+    this.code = code;
+    this.extra = extra;
+  }
+}
@@ -32,3 +32,74 @@ export async function smallHumanMove(page) {
     await page.mouse.move(x1, y1, { steps: 10 });
   } catch (e) {}
 }
+
+// what the composer should show for `text`: NFC, \r\n as \n, nbsp as space
+export function normalizeMessageText(text) {
+  return String(text)
+    .normalize("NFC")
+    .replace(/\r\n?/g, "\n")
+    .replace(/\u00a0/g, " ");
+}
+
+/**
+ * Type a chat message without sending it. Lines are joined with Shift+Enter
+ * (a plain Enter would send the first line on its own). Each line is cut at
+ * word boundaries: ASCII words are typed key by key, anything else (Persian,
+ * emoji, ZWJ sequences, combining marks) is inserted whole, because per-key
+ * input splits surrogate pairs and the composer mangles RTL text typed that way.
+ */
+export async function typeMessage(page, handle, text, opts = {}) {
+  // perKey: false inserts each line in one go (the fallback when typing
+  // didn't come out right)
+  const { minDelay = 70, maxDelay = 140, perKey = true } = opts;
+  const pause = () =>
+    new Promise((r) =>
+      setTimeout(
+        r,
+        minDelay + Math.floor(Math.random() * (maxDelay - minDelay))
+      )
+    );
+  const words = new Intl.Segmenter(undefined, { granularity: "word" });
+
+  await handle.focus();
+  const lines = normalizeMessageText(text).split("\n");
+  for (let i = 0; i < lines.length; i++) {
+    if (i > 0) {
+      await page.keyboard.press("Shift+Enter");
+      await pause();
+    }
+    if (!perKey) {
+      if (lines[i]) await page.keyboard.insertText(lines[i]);
+      continue;
+    }
+    for (const { segment } of words.segment(lines[i])) {
+      if (/^[\x20-\x7e]+$/.test(segment)) {
+        for (const ch of segment) {
+          await page.keyboard.type(ch);
+          await pause();
+        }
+      } else {
+        await page.keyboard.insertText(segment);
+        await pause();
+      }
+    }
+  }
+}
+
+// current text of a composer (contenteditable or textarea/input)
+export async function readComposer(handle) {
+  return handle.evaluate((el) =>
+    "value" in el && typeof el.value === "string" ? el.value : el.innerText
+  );
+}
+
+// composer and intended text match line for line, ignoring runs of spaces
+// and tabs, spaces at line ends and a trailing newline
+export function composerMatches(actual, expected) {
+  const flat = (s) =>
+    normalizeMessageText(s || "")
+      .replace(/[ \t]+/g, " ")
+      .replace(/ ?\n ?/g, "\n")
+      .trim();
+  return flat(actual) === flat(expected);
+}
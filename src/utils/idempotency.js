@@ -0,0 +1,220 @@
+// src/utils/idempotency.js
+import fs from "fs";
+import path from "path";
+import { createHash } from "crypto";
+import logger from "./logger.js";
+
+const DEFAULT_FILE = path.join(process.cwd(), "data", "idempotency.jsonl");
+const HEADER = "Idempotency-Key";
+// lines the file may reach before it is rewritten with just the live keys
+const COMPACT_LINES = 1000;
+
+const sha256 = (s) => createHash("sha256").update(s).digest("hex");
+
+// left out of the stored fingerprint: an unsalted hash of a password is
+// as good as the password to anyone who can read the file
+const SECRET_FIELDS = ["password"];
+
+function hashFile(file) {
+  return new Promise((resolve, reject) => {
+    const hash = createHash("sha256");
+    fs.createReadStream(file)
+      .on("error", reject)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")));
+  });
+}
+
+// multipart uploads count as part of the body: same key, other file -> 422
+async function fingerprintOf(body, files = []) {
+  const kept = { ...(body || {}) };
+  for (const k of SECRET_FIELDS) delete kept[k];
+  const uploads = [];
+  for (const f of files)
+    uploads.push({
+      name: f.originalname,
+      size: f.size,
+      sha256: await hashFile(f.path),
+    });
+  if (uploads.length) kept["[uploads]"] = uploads;
+  return sha256(JSON.stringify(kept));
+}
+
+/**
+ * Idempotency-Key -> outcome of the first request that used it, kept on disk
+ * for `ttlMs`. A record starts "in progress" and gets the response (and the
+ * job id, for queued actions) once the route has answered.
+ *
+ * The file is a JSONL log of those changes, appended to as they happen and
+ * rewritten with only the live keys at startup and whenever it has grown
+ * to twice that.
+ */
+export default class IdempotencyStore {
+  constructor(opts = {}) {
+    this.file = opts.file || DEFAULT_FILE;
+    this.ttlMs = opts.ttlMs || 24 * 60 * 60 * 1000;
+    this.compactLines = opts.compactLines || COMPACT_LINES;
+    this.lines = 0;
+    this.records = this._load();
+    this._compact();
+  }
+
+  _load() {
+    let raw = "";
+    try {
+      raw = fs.readFileSync(this.file, "utf8");
+    } catch {
+      return {};
+    }
+    const records = {};
+    for (const line of raw.split("\n")) {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        continue; // blank, or torn by a crash mid-write
+      }
+      const { id, forgotten, ...change } = entry;
+      if (forgotten) delete records[id];
+      else if (records[id]) Object.assign(records[id], change);
+      else if (change.createdAt) records[id] = change;
+    }
+    // a request that died before answering or queueing anything left no
+    // outcome to replay; forget it so the client can retry
+    for (const [k, r] of Object.entries(records)) {
+      if (!r.response && !r.jobId) delete records[k];
+    }
+    return records;
+  }
+
+  _append(entry) {
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.appendFileSync(this.file, JSON.stringify(entry) + "\n");
+      this.lines++;
+    } catch (err) {
+      logger.error("Could not persist idempotency keys", {
+        error: err.message,
+      });
+    }
+    const live = Object.keys(this.records).length;
+    if (this.lines > Math.max(this.compactLines, 2 * live)) this._compact();
+  }
+
+  _compact() {
+    this._prune();
+    const entries = Object.entries(this.records);
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      const tmp = this.file + ".tmp";
+      fs.writeFileSync(
+        tmp,
+        entries.map(([id, r]) => JSON.stringify({ id, ...r }) + "\n").join("")
+      );
+      fs.renameSync(tmp, this.file);
+      this.lines = entries.length;
+    } catch (err) {
+      logger.error("Could not compact idempotency keys", {
+        error: err.message,
+      });
+    }
+  }
+
+  _prune() {
+    const cutoff = Date.now() - this.ttlMs;
+    for (const [k, r] of Object.entries(this.records)) {
+      if (r.createdAt < cutoff) delete this.records[k];
+    }
+  }
+
+  get(id) {
+    const r = this.records[id];
+    if (!r) return null;
+    if (r.createdAt < Date.now() - this.ttlMs) {
+      delete this.records[id];
+      return null;
+    }
+    return r;
+  }
+
+  begin(id, fingerprint) {
+    this._prune();
+    this.records[id] = { fingerprint, createdAt: Date.now(), jobId: null };
+    this._append({ id, ...this.records[id] });
+    return this.records[id];
+  }
+
+  update(id, patch) {
+    if (!this.records[id]) return;
+    Object.assign(this.records[id], patch);
+    this._append({ id, ...patch });
+  }
+
+  forget(id) {
+    delete this.records[id];
+    this._append({ id, forgotten: true });
+  }
+}
+
+/**
+ * Express middleware for mutating routes. Keys are scoped per API key and
+ * route; reusing a key with a different body (a password aside) or other
+ * uploaded files is a 422.
+ * Routes that queue a job call req.idempotency.attachJob(id) so a repeat
+ * can report the job's current status via `describeJob(id)`. 5xx answers
+ * are not remembered, so a retry after e.g. page_not_ready really runs
+ * again.
+ */
+export function idempotent(store, { describeJob }) {
+  return async (req, res, next) => {
+    const key = req.get(HEADER);
+    if (!key) return next();
+    if (key.length > 255)
+      return res
+        .status(400)
+        .json({ success: false, error: "invalid_idempotency_key" });
+
+    const owner = req.apiKey ? sha256(req.apiKey.key).slice(0, 16) : "anon";
+    const id = sha256(`${owner}:${req.method}:${req.path}:${key}`);
+    const fingerprint = await fingerprintOf(req.body, req.files);
+
+    const existing = store.get(id);
+    if (existing) {
+      if (existing.fingerprint !== fingerprint)
+        return res
+          .status(422)
+          .json({ success: false, error: "idempotency_key_reused" });
+
+      res.set("Idempotent-Replayed", "true");
+      const job = existing.jobId ? describeJob(existing.jobId) : null;
+      if (existing.response) {
+        const body = { ...existing.response.body };
+        if (job) {
+          body.status = job.status;
+          body.job = job;
+        }
+        return res.status(existing.response.status).json(body);
+      }
+      if (job)
+        return res
+          .status(202)
+          .json({ success: true, jobId: job.id, status: job.status, job });
+      return res
+        .status(409)
+        .json({ success: false, error: "request_in_progress" });
+    }
+
+    store.begin(id, fingerprint);
+    req.idempotency = {
+      attachJob: (jobId) => store.update(id, { jobId }),
+    };
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode >= 500) store.forget(id);
+      else store.update(id, { response: { status: res.statusCode, body } });
+      return json(body);
+    };
+    next();
+  };
+}
@@ -0,0 +1,331 @@
+// src/utils/inboxWatcher.js
+import fs from "fs";
+import path from "path";
+import { EventEmitter } from "events";
+import { createHash } from "crypto";
+import logger from "./logger.js";
+import FacebookController from "../controllers/facebookController.js";
+import { parseConversationRow } from "./messenger.js";
+
+const DEFAULT_CURSOR_FILE = path.join(
+  process.cwd(),
+  "data",
+  "inbox-cursor.json"
+);
+const INBOX_URL = "https://www.facebook.com/messages/t/";
+// threads remembered per account; older ones fall off the chat list anyway
+const MAX_THREADS = 500;
+
+const sha1 = (s) => createHash("sha1").update(s).digest("hex");
+
+// what a thread's last message looks like; a change means a new message
+const rowSignature = (c) =>
+  sha1(`${c.lastMessage.fromMe ? "out" : "in"}\u0000${c.lastMessage.text}`);
+
+// how old the list says the last message is; null without a time label
+const labelAge = (c, detectedAt) =>
+  c.lastMessage.timestamp
+    ? Date.parse(detectedAt) - Date.parse(c.lastMessage.timestamp)
+    : null;
+
+// the same text sent again still shows up: the label gets younger than it
+// was ("2h" back to "1m"; the same message's only ages), or a thread that
+// had been read is unread again
+function repeated(known, c, age, lastAge) {
+  if (c.unread && known.unread === false) return true;
+  return age !== null && typeof lastAge === "number" && age < lastAge - 60000;
+}
+
+function toEvent(account, c, seq, newThread, detectedAt) {
+  let sender = c.isGroup
+    ? { name: null, userId: null, profileUrl: null }
+    : c.participants[0];
+  let text = c.lastMessage.text;
+  // group previews read "Ali: hi"
+  const m = c.isGroup && text.match(/^([^:]{1,60}):\s+([\s\S]*)$/);
+  if (m) {
+    sender = { name: m[1], userId: null, profileUrl: null };
+    text = m[2];
+  }
+  return {
+    event: "message.received",
+    id: `${account}:${c.threadId}:${seq}`,
+    account,
+    threadId: c.threadId,
+    conversation: c.name,
+    isGroup: c.isGroup,
+    // first message in a thread this watcher had never seen
+    newThread,
+    sender,
+    text,
+    unread: c.unread,
+    timestamp: c.lastMessage.timestamp,
+    timeLabel: c.lastMessage.timeLabel,
+    detectedAt,
+  };
+}
+
+/**
+ * Watches the chat list of each watched account in a tab of its own, next to
+ * the one jobs drive, and emits "message" with a message.received event for
+ * every new incoming message (the chat list's preview of it). The list is
+ * re-read when its DOM changes and every `pollMs` anyway.
+ *
+ * What was last seen per thread is persisted, so after a restart messages
+ * are neither repeated nor lost as long as they are still in the list; the
+ * very first scan of an account only records what is already there. Event
+ * ids are `<account>:<threadId>:<n>`, n counting that thread's messages.
+ */
+export default class InboxWatcher extends EventEmitter {
+  constructor(pool, opts = {}) {
+    super();
+    this.pool = pool;
+    this.pollMs = opts.pollMs || 15 * 1000;
+    this.cursorFile = opts.cursorFile || DEFAULT_CURSOR_FILE;
+    this.cursors = this._load(); // account -> { seededAt, threads }
+    // `${account}\0${threadId}` -> label age at the last scan; it changes
+    // with nearly every scan, so it is not worth writing to disk
+    this.ages = new Map();
+    this.watches = new Map(); // account -> watch
+  }
+
+  _load() {
+    try {
+      return JSON.parse(fs.readFileSync(this.cursorFile, "utf8"));
+    } catch {
+      return {};
+    }
+  }
+
+  _save() {
+    try {
+      fs.mkdirSync(path.dirname(this.cursorFile), { recursive: true });
+      const tmp = this.cursorFile + ".tmp";
+      fs.writeFileSync(tmp, JSON.stringify(this.cursors));
+      fs.renameSync(tmp, this.cursorFile);
+    } catch (err) {
+      logger.error("Could not persist inbox cursor", { error: err.message });
+    }
+  }
+
+  watch(account) {
+    if (!this.watches.has(account)) {
+      const w = {
+        account,
+        page: null,
+        fb: null,
+        attaching: null,
+        scanning: false,
+        pending: false,
+        startedAt: new Date().toISOString(),
+        lastScanAt: null,
+        lastError: null,
+      };
+      this.watches.set(account, w);
+      this.pool.pin(account);
+      // also re-opens the tab after a crash or browser relaunch
+      w.timer = setInterval(() => this._tick(w), this.pollMs);
+      w.timer.unref();
+      this._tick(w);
+      logger.info("Inbox watcher started", { account });
+    }
+    return this.status(account);
+  }
+
+  async unwatch(account) {
+    const w = this.watches.get(account);
+    if (!w) return false;
+    this.watches.delete(account);
+    clearInterval(w.timer);
+    this.pool.unpin(account);
+    if (w.page) await w.page.close().catch(() => {});
+    logger.info("Inbox watcher stopped", { account });
+    return true;
+  }
+
+  async stop() {
+    for (const account of [...this.watches.keys()]) await this.unwatch(account);
+  }
+
+  isWatching(account) {
+    return this.watches.has(account);
+  }
+
+  status(account) {
+    const w = this.watches.get(account);
+    if (!w) return null;
+    const cursor = this.cursors[account];
+    return {
+      account,
+      attached: Boolean(w.page && !w.page.isClosed()),
+      startedAt: w.startedAt,
+      lastScanAt: w.lastScanAt,
+      lastError: w.lastError,
+      threads: cursor ? Object.keys(cursor.threads).length : 0,
+    };
+  }
+
+  list() {
+    return [...this.watches.keys()].map((a) => this.status(a));
+  }
+
+  async _tick(w) {
+    if (!w.page || w.page.isClosed()) {
+      if (!w.attaching)
+        w.attaching = this._attach(w).finally(() => (w.attaching = null));
+      await w.attaching;
+      if (!w.page) return;
+    }
+    await this._scan(w);
+  }
+
+  async _attach(w) {
+    let page = null;
+    try {
+      const entry = await this.pool.get(w.account);
+      page = await entry.context.newPage();
+      // the page calls back (debounced) whenever the DOM changes
+      await page.exposeBinding("__inboxChanged", () => this._scan(w));
+      await page.addInitScript(() => {
+        document.addEventListener("DOMContentLoaded", () => {
+          let timer;
+          new MutationObserver(() => {
+            clearTimeout(timer);
+            timer = setTimeout(() => window.__inboxChanged(), 1000);
+          }).observe(document.body, {
+            childList: true,
+            subtree: true,
+            characterData: true,
+          });
+        });
+      });
+      await page.goto(INBOX_URL, { waitUntil: "domcontentloaded" });
+      if (this.watches.get(w.account) !== w) {
+        await page.close().catch(() => {});
+        return;
+      }
+      w.page = page;
+      w.fb = new FacebookController(page, { sessionName: w.account });
+      page.on("close", () => {
+        if (w.page === page) w.page = null;
+      });
+      logger.info("Inbox watcher attached", { account: w.account });
+    } catch (err) {
+      if (page) await page.close().catch(() => {});
+      w.lastError = err.code || err.message;
+      logger.warn("Inbox watcher could not open its tab", {
+        account: w.account,
+        error: err.message,
+      });
+    }
+  }
+
+  async _scan(w) {
+    if (!w.fb) return;
+    if (w.scanning) {
+      w.pending = true;
+      return;
+    }
+    w.scanning = true;
+    try {
+      do {
+        w.pending = false;
+        const page = w.fb.page;
+        if (
+          /\/checkpoint|\/login/i.test(page.url()) ||
+          (await page.$("input[type='password']"))
+        ) {
+          w.lastError = "not_logged_in";
+          return;
+        }
+        const now = new Date();
+        const { rows, tzOffset } = await w.fb.scrapeChatList();
+        const conversations = rows
+          .map((raw) => parseConversationRow(raw, now, tzOffset))
+          .filter(Boolean);
+        this._record(w.account, conversations, now.toISOString());
+        w.lastScanAt = now.toISOString();
+        w.lastError = null;
+      } while (w.pending);
+    } catch (err) {
+      w.lastError = err.message;
+      logger.warn("Inbox scan failed", {
+        account: w.account,
+        error: err.message,
+      });
+    } finally {
+      w.scanning = false;
+    }
+  }
+
+  // compare a scan with the cursor, persist it and emit what is new
+  _record(account, conversations, detectedAt) {
+    const seeding = !this.cursors[account];
+    const cursor = (this.cursors[account] ||= {
+      seededAt: detectedAt,
+      threads: {},
+    });
+    const events = [];
+    let changed = seeding;
+    for (const c of conversations) {
+      if (!c.lastMessage.text) continue;
+      const sig = rowSignature(c);
+      const age = labelAge(c, detectedAt);
+      const ageKey = `${account}\u0000${c.threadId}`;
+      const lastAge = this.ages.get(ageKey);
+      this.ages.set(ageKey, age);
+      const known = cursor.threads[c.threadId];
+      if (known && known.sig === sig && !repeated(known, c, age, lastAge)) {
+        // keep the read state current for the next comparison
+        if (known.unread !== c.unread) {
+          known.unread = c.unread;
+          changed = true;
+        }
+        continue;
+      }
+      const incoming = !c.lastMessage.fromMe;
+      const seq = (known ? known.seq : 0) + (incoming ? 1 : 0);
+      cursor.threads[c.threadId] = {
+        sig,
+        unread: c.unread,
+        seq,
+        at: detectedAt,
+      };
+      changed = true;
+      // a thread we never saw may just have scrolled into view; only an
+      // unread one has something new
+      if (seeding || !incoming || (!known && !c.unread)) continue;
+      events.push(toEvent(account, c, seq, !known, detectedAt));
+    }
+    if (!changed) return;
+
+    const ids = Object.keys(cursor.threads);
+    if (ids.length > MAX_THREADS)
+      for (const id of ids
+        .sort((a, b) => (cursor.threads[a].at < cursor.threads[b].at ? 1 : -1))
+        .slice(MAX_THREADS)) {
+        delete cursor.threads[id];
+        this.ages.delete(`${account}\u0000${id}`);
+      }
+    this._save();
+
+    // the cursor has them as seen already: a listener that throws must not
+    // cost the other events, nor pass for a failed scan
+    for (const event of events) {
+      logger.info("Incoming message", {
+        account,
+        threadId: event.threadId,
+        id: event.id,
+      });
+      try {
+        this.emit("message", event);
+      } catch (err) {
+        logger.error("Incoming message listener failed", {
+          account,
+          id: event.id,
+          error: err.message,
+        });
+      }
+    }
+  }
+}
@@ -0,0 +1,262 @@
+// src/utils/jobQueue.js
+import { EventEmitter } from "events";
+import { randomUUID } from "crypto";
+import logger from "./logger.js";
+
+export const JOB_STATUSES = ["queued", "running", "succeeded", "failed"];
+
+export const isFinished = (job) =>
+  job.status === "succeeded" || job.status === "failed";
+
+// controller methods are not consistent: sendMessage returns { success },
+// sendFriendRequest returns { status: "success" | "failed" }
+function isSuccessfulResult(result) {
+  if (!result) return false;
+  if (typeof result.success === "boolean") return result.success;
+  return result.status === "success";
+}
+
+/**
+ * In-memory job queue. Jobs for the same session run strictly one at a time
+ * in submission order; jobs for different sessions run independently.
+ *
+ * `execute(job)` does the actual work and must resolve to the controller's
+ * result object. With `paused: true` nothing runs until start() is called.
+ * `rerunnable(job)` tells whether a job cut off mid-run (see restore()) may
+ * simply run again; by default none may.
+ */
+export default class JobQueue extends EventEmitter {
+  constructor(execute, opts = {}) {
+    super();
+    if (typeof execute !== "function")
+      throw new Error("JobQueue needs an execute function");
+    this.execute = execute;
+    this.rerunnable = opts.rerunnable || (() => false);
+    this.maxFinishedJobs = opts.maxFinishedJobs || 1000;
+    this.maxEventsPerJob = opts.maxEventsPerJob || 200;
+    this.jobs = new Map();
+    this._chains = new Map(); // sessionName -> tail promise
+    this._interrupted = []; // failed by restore(), announced on start()
+    this._gate = opts.paused
+      ? new Promise((resolve) => (this._open = resolve))
+      : Promise.resolve();
+  }
+
+  start() {
+    if (this._open) this._open();
+    this._open = null;
+    // by now everyone who wants to hear about finished jobs is listening
+    for (const job of this._interrupted.splice(0)) this.emit("job", job);
+  }
+
+  enqueue({ type, sessionName = "default", params = {}, callbackUrl = null }) {
+    const job = {
+      id: randomUUID(),
+      type,
+      sessionName,
+      params,
+      callbackUrl,
+      status: "queued",
+      result: null,
+      error: null,
+      screenshot: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      attempts: 0,
+      events: [],
+    };
+    this.jobs.set(job.id, job);
+    this._schedule(job);
+    logger.info("Job queued", { jobId: job.id, type, sessionName });
+    this.emit("job", job);
+    return job;
+  }
+
+  /**
+   * Re-add jobs loaded from the journal. Finished jobs are kept for lookup
+   * only; queued ones are scheduled again in their original order. A job
+   * that was running when the process died may have done its work already
+   * (a message sent, just not recorded), so unless it is rerunnable it
+   * fails as "interrupted" instead. Must be called before any new enqueue().
+   */
+  restore(savedJobs) {
+    const pending = [];
+    for (const saved of savedJobs) {
+      const job = { events: [], ...saved };
+      this.jobs.set(job.id, job);
+      if (isFinished(job)) continue;
+      if (job.status === "running" && !this.rerunnable(job)) {
+        job.status = "failed";
+        job.error = "interrupted";
+        job.result = { success: false, error: "interrupted", retryable: false };
+        job.finishedAt = new Date().toISOString();
+        this._interrupted.push(job);
+        logger.warn("Job interrupted by a restart, not run again", {
+          jobId: job.id,
+          type: job.type,
+        });
+        continue;
+      }
+      job.resumed = true;
+      job.status = "queued";
+      pending.push(job);
+    }
+    // not paused (or started already): nothing to wait for
+    if (!this._open) this.start();
+    pending.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    for (const job of pending) {
+      this._schedule(job);
+      logger.info("Job resumed from journal", {
+        jobId: job.id,
+        type: job.type,
+        attempts: job.attempts,
+      });
+    }
+    return pending;
+  }
+
+  /**
+   * Record a step of a running job (see FacebookController#progress) and
+   * emit it as "progress" (job, event) for live listeners.
+   */
+  progress(id, event) {
+    const job = this.jobs.get(id);
+    if (!job) return;
+    job.events.push(event);
+    if (job.events.length > this.maxEventsPerJob) job.events.shift();
+    this.emit("progress", job, event);
+  }
+
+  // resolves with the job once it has succeeded or failed
+  waitFor(id) {
+    const job = this.jobs.get(id);
+    if (!job) return Promise.resolve(null);
+    if (isFinished(job)) return Promise.resolve(job);
+    return new Promise((resolve) => {
+      const onJob = (j) => {
+        if (j.id !== id || !isFinished(j)) return;
+        this.off("job", onJob);
+        resolve(j);
+      };
+      this.on("job", onJob);
+    });
+  }
+
+  _schedule(job) {
+    const tail = this._chains.get(job.sessionName) || this._gate;
+    // _run() catches what execute() throws; this is a "job" listener
+    // throwing (the journal failing to write, say), which must not stop the
+    // session's chain or go unhandled
+    const next = tail
+      .then(() => this._run(job))
+      .catch((err) => {
+        logger.error("Job listener failed", {
+          jobId: job.id,
+          error: err.message,
+        });
+        // thrown before the job could finish: don't leave it "running"
+        if (!isFinished(job)) {
+          job.status = "failed";
+          job.error = "internal_error";
+          job.finishedAt = new Date().toISOString();
+        }
+      });
+    this._chains.set(job.sessionName, next);
+    // drop the chain once it is idle so the map doesn't grow per session forever
+    next.then(() => {
+      if (this._chains.get(job.sessionName) === next)
+        this._chains.delete(job.sessionName);
+    });
+  }
+
+  async _run(job) {
+    job.status = "running";
+    job.startedAt = new Date().toISOString();
+    job.attempts = (job.attempts || 0) + 1;
+    this.emit("job", job);
+    logger.info("Job started", { jobId: job.id, type: job.type });
+
+    try {
+      const result = await this.execute(job);
+      job.result = result || null;
+      job.screenshot = (result && result.screenshot) || null;
+      if (isSuccessfulResult(result)) {
+        job.status = "succeeded";
+      } else {
+        job.status = "failed";
+        job.error = (result && result.error) || "unknown_error";
+      }
+    } catch (err) {
+      // errors with a code (see errors.js) are reported like controller failures
+      job.status = "failed";
+      job.error = err.code || err.message;
+      job.result = {
+        success: false,
+        error: job.error,
+        retryable: Boolean(err.retryable),
+      };
+    }
+
+    job.finishedAt = new Date().toISOString();
+    logger.info("Job finished", {
+      jobId: job.id,
+      status: job.status,
+      error: job.error,
+    });
+    this.emit("job", job);
+    this._prune();
+  }
+
+  // keep memory bounded: forget the oldest finished jobs
+  _prune() {
+    const finished = [...this.jobs.values()].filter(isFinished);
+    let excess = finished.length - this.maxFinishedJobs;
+    for (const j of finished) {
+      if (excess-- <= 0) break;
+      this.jobs.delete(j.id);
+    }
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  list({ status, sessionName } = {}) {
+    return [...this.jobs.values()].filter(
+      (j) =>
+        (!status || j.status === status) &&
+        (!sessionName || j.sessionName === sessionName)
+    );
+  }
+
+  depth(sessionName) {
+    return this.list({ sessionName }).filter(
+      (j) => j.status === "queued" || j.status === "running"
+    ).length;
+  }
+}
+
+// public view of a job (drops internal fields like raw params when needed)
+export function serializeJob(job) {
+  if (!job) return null;
+  return {
+    id: job.id,
+    type: job.type,
+    sessionName: job.sessionName,
+    status: job.status,
+    callbackUrl: job.callbackUrl || null,
+    result: job.result,
+    error: job.error,
+    screenshot: job.screenshot,
+    lastStep:
+      job.events && job.events.length
+        ? job.events[job.events.length - 1].step
+        : null,
+    attempts: job.attempts,
+    resumed: Boolean(job.resumed),
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+  };
+}
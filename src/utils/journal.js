@@ -0,0 +1,141 @@
+// src/utils/journal.js
+import fs from "fs";
+import path from "path";
+import logger from "./logger.js";
+
+const DEFAULT_FILE = path.join(process.cwd(), "requests.jsonl");
+// lines the file may reach before needsCompaction() says so
+const COMPACT_LINES = 10000;
+
+// params that must never reach the disk
+const SECRET_PARAMS = ["password"];
+
+function redactParams(params = {}) {
+  const out = { ...params };
+  for (const k of SECRET_PARAMS) if (k in out) out[k] = "[redacted]";
+  return out;
+}
+
+function snapshot(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    sessionName: job.sessionName,
+    params: redactParams(job.params),
+    callbackUrl: job.callbackUrl || null,
+    status: job.status,
+    result: job.result,
+    error: job.error,
+    screenshot: job.screenshot,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    attempts: job.attempts || 0,
+  };
+}
+
+/**
+ * Append-only JSONL journal of job lifecycle transitions.
+ * Writes are synchronous so an entry is on disk before the HTTP response
+ * goes out (same trade-off as the logger).
+ */
+export default class Journal {
+  constructor(file = DEFAULT_FILE, opts = {}) {
+    this.file = file;
+    this.compactLines = opts.compactLines || COMPACT_LINES;
+    this.lines = 0; // in the file, as far as this process knows
+    this.compactedTo = 0; // lines the last compact() left
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+  }
+
+  append(entry) {
+    const line = JSON.stringify({ time: new Date().toISOString(), ...entry });
+    fs.appendFileSync(this.file, line + "\n");
+    this.lines++;
+  }
+
+  // whether the file has grown enough to be worth a compact(); twice what
+  // the last one left, so many retained jobs don't mean compacting always
+  needsCompaction() {
+    return this.lines > Math.max(this.compactLines, 2 * this.compactedTo);
+  }
+
+  // one line per transition; the first one carries the params
+  record(job) {
+    if (job.status === "queued") {
+      this.append({ event: "accepted", job: snapshot(job) });
+      return;
+    }
+    this.append({
+      event: job.status,
+      jobId: job.id,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      result: job.result,
+      error: job.error,
+      screenshot: job.screenshot,
+      attempts: job.attempts || 0,
+    });
+  }
+
+  // fold the journal into the latest known state of every job
+  load() {
+    let raw = "";
+    try {
+      raw = fs.readFileSync(this.file, "utf8");
+    } catch (e) {
+      return [];
+    }
+
+    const jobs = new Map();
+    const lines = raw.split("\n");
+    this.lines = 0;
+    lines.forEach((line, i) => {
+      if (!line.trim()) return;
+      this.lines++;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (e) {
+        // a crash mid-write leaves at most one torn line at the end
+        logger.warn("Skipping malformed journal line", { line: i + 1 });
+        return;
+      }
+      if (entry.event === "accepted" || entry.event === "snapshot") {
+        jobs.set(entry.job.id, { ...entry.job });
+        return;
+      }
+      const job = jobs.get(entry.jobId);
+      if (!job) return;
+      job.status = entry.event;
+      for (const k of [
+        "startedAt",
+        "finishedAt",
+        "result",
+        "error",
+        "screenshot",
+        "attempts",
+      ]) {
+        if (entry[k] !== undefined) job[k] = entry[k];
+      }
+    });
+    return [...jobs.values()];
+  }
+
+  // rewrite the file as one snapshot per retained job
+  compact(jobs) {
+    const tmp = this.file + ".tmp";
+    const body = jobs
+      .map((job) =>
+        JSON.stringify({
+          time: new Date().toISOString(),
+          event: "snapshot",
+          job: snapshot(job),
+        })
+      )
+      .join("\n");
+    fs.writeFileSync(tmp, body ? body + "\n" : "");
+    fs.renameSync(tmp, this.file);
+    this.lines = this.compactedTo = jobs.length;
+  }
+}
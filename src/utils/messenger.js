@@ -0,0 +1,325 @@
+// src/utils/messenger.js
+// Turning what Messenger's web UI shows into data. The page only has what a
+// person sees ("2h", "You: ok · Mon"), so times are best-effort: every parsed
+// timestamp comes with the label it was read from.
+import { createHash } from "crypto";
+import { profileLink } from "./recipient.js";
+
+const UNITS = {
+  s: 1000,
+  sec: 1000,
+  m: 60 * 1000,
+  min: 60 * 1000,
+  h: 60 * 60 * 1000,
+  hr: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+  wk: 7 * 24 * 60 * 60 * 1000,
+  y: 365 * 24 * 60 * 60 * 1000,
+  yr: 365 * 24 * 60 * 60 * 1000,
+};
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const MONTHS = [
+  "jan",
+  "feb",
+  "mar",
+  "apr",
+  "may",
+  "jun",
+  "jul",
+  "aug",
+  "sep",
+  "oct",
+  "nov",
+  "dec",
+];
+
+const startOfDay = (d) =>
+  new Date(d.getFullYear(), d.getMonth(), d.getDate()).getTime();
+
+// "3:45 PM", "15:45" -> ms into the day, or null
+function timeOfDay(text) {
+  const m = text.match(/(\d{1,2}):(\d{2})\s*([ap]\.?m\.?)?/i);
+  if (!m) return null;
+  let hours = Number(m[1]);
+  const pm = m[3] && /^p/i.test(m[3]);
+  if (m[3] && hours === 12) hours = 0;
+  if (pm) hours += 12;
+  if (hours > 23 || Number(m[2]) > 59) return null;
+  return (hours * 60 + Number(m[2])) * 60 * 1000;
+}
+
+// `label` read against a clock showing the browser's wall time as local time
+function parseWallTime(text, now) {
+  const at = (dayStart, t = 0) => dayStart + (t || 0);
+
+  if (/^(just )?now$|^active now$/.test(text)) return now.getTime();
+  let m = text.match(
+    /^(\d+)\s*(s|sec|m|min|h|hr|d|w|wk|y|yr)s?(?: ago)?$|^(\d+) (second|minute|hour|day|week|year)s? ago$/
+  );
+  if (m) {
+    const n = Number(m[1] || m[3]);
+    const unit =
+      m[2] || { second: "s", minute: "m", week: "w" }[m[4]] || m[4][0];
+    return now.getTime() - n * UNITS[unit];
+  }
+
+  const clock = timeOfDay(text);
+  const today = startOfDay(now);
+  if (/^today\b/.test(text) || /^\d{1,2}:\d{2}/.test(text))
+    return clock === null ? null : at(today, clock);
+  if (/^yesterday\b/.test(text))
+    return at(startOfDay(new Date(today - UNITS.d)), clock);
+
+  m = text.match(/^(sun|mon|tue|wed|thu|fri|sat)[a-z]*\b/);
+  if (m) {
+    let back = (now.getDay() - WEEKDAYS.indexOf(m[1]) + 7) % 7;
+    if (back === 0) back = 7;
+    return at(startOfDay(new Date(today - back * UNITS.d)), clock);
+  }
+
+  // "jan 3", "3 jan", "january 3, 2024", with an optional time after
+  m =
+    text.match(/^([a-z]{3})[a-z]* (\d{1,2})(?:,? (\d{4}))?/) ||
+    text.match(/^(\d{1,2}) ([a-z]{3})[a-z]*(?:,? (\d{4}))?/);
+  if (m) {
+    const [month, day] = /^\d/.test(m[1]) ? [m[2], m[1]] : [m[1], m[2]];
+    const index = MONTHS.indexOf(month);
+    if (index === -1) return null;
+    let year = m[3] ? Number(m[3]) : now.getFullYear();
+    let date = new Date(year, index, Number(day));
+    // no year printed means within the last twelve months
+    if (!m[3] && date.getTime() > now.getTime())
+      date = new Date(--year, index, Number(day));
+    return at(date.getTime(), clock);
+  }
+  return null;
+}
+
+/**
+ * A time label as Messenger prints it to an ISO string (or null):
+ *   "now", "5m", "2 h", "3d", "1w"           relative to `now`
+ *   "3:45 PM", "Today at 15:45"              today
+ *   "Yesterday at 9:10 AM"
+ *   "Mon", "Mon 3:45 PM", "Monday at 3:45"   the last such weekday
+ *   "Jan 3", "3 Jan", "Jan 3, 2024, 3:45 PM", "March 3 at 3:45 PM"
+ * Labels are in the browser's time zone; `tzOffset` is its
+ * Date#getTimezoneOffset() (default: this process's).
+ */
+export function parseMessengerTime(label, now = new Date(), tzOffset) {
+  if (!label || typeof label !== "string") return null;
+  const text = label.trim().toLowerCase().replace(/\s+/g, " ");
+  const shift =
+    ((tzOffset ?? now.getTimezoneOffset()) - now.getTimezoneOffset()) * 60000;
+  const ms = parseWallTime(text, new Date(now.getTime() - shift));
+  return ms === null ? null : new Date(ms + shift).toISOString();
+}
+
+/**
+ * One row of the chat list, as scraped by FacebookController, to
+ *   { threadId, name, isGroup, participants: [{ name, userId, profileUrl }],
+ *     lastMessage: { text, fromMe, timestamp, timeLabel }, unread, muted }
+ * or null when the row is not a conversation.
+ */
+export function parseConversationRow(raw, now = new Date(), tzOffset) {
+  const link = raw && profileLink(raw.href);
+  if (!link || !link.threadId) return null;
+  const [name = "", ...rest] = raw.lines || [];
+
+  // "You: see you · 2h" comes as one line or as "You: see you", "·", "2h"
+  const parts = rest
+    .join(" · ")
+    .split(/\s+·\s+/)
+    .map((s) => s.trim())
+    .filter((s) => s && s !== "·");
+  let timeLabel = null;
+  if (
+    parts.length &&
+    parseMessengerTime(parts[parts.length - 1], now, tzOffset)
+  )
+    timeLabel = parts.pop();
+  let text = parts.join(" · ") || null;
+  const fromMe = Boolean(text && /^(you|شما):\s*/i.test(text));
+  if (fromMe) text = text.replace(/^(you|شما):\s*/i, "");
+
+  // a 1:1 thread is keyed by the other person's user ID; group chats show
+  // stacked avatars and their names are not links
+  const isGroup = Boolean(raw.avatars > 1 || !/^\d+$/.test(link.threadId));
+  const participants = isGroup
+    ? name
+        .split(/,\s*|\s+(?:and|و)\s+/)
+        .filter((n) => n && !/^\d+ (others|more)$/i.test(n))
+        .map((n) => ({ name: n.trim(), userId: null, profileUrl: null }))
+    : [
+        {
+          name,
+          userId: link.threadId,
+          profileUrl: `https://www.facebook.com/profile.php?id=${link.threadId}`,
+        },
+      ];
+
+  return {
+    threadId: link.threadId,
+    name,
+    isGroup,
+    participants,
+    lastMessage: {
+      text,
+      fromMe,
+      timestamp: timeLabel
+        ? parseMessengerTime(timeLabel, now, tzOffset)
+        : null,
+      timeLabel,
+    },
+    unread: Boolean(raw.unread),
+    muted: Boolean(raw.muted),
+  };
+}
+
+const SELF = /^(you|شما)$/i;
+
+// "You sent", "Sara Ahmadi", "You replied to Sara", "Sara replied to you"
+function parseHeading(heading) {
+  if (!heading) return {};
+  let m = heading.match(/^(.+?) replied to (.+)$/i);
+  if (m) return { sender: m[1].trim(), repliedTo: m[2].trim() };
+  m = heading.match(/^(.+?) (sent|unsent a message)$/i);
+  if (m) return { sender: m[1].trim() };
+  return { sender: heading.trim() };
+}
+
+const person = (name) =>
+  name && SELF.test(name)
+    ? { name: null, isSelf: true }
+    : { name: name || null, isSelf: false };
+
+// media URLs carry expiring signatures; the path is what identifies them
+const stableUrl = (url) => (url || "").split("?")[0];
+
+// what tells messages apart, short of their order
+const sameKey = (m) =>
+  [
+    m.timestamp || "",
+    m.direction,
+    m.sender.name || "",
+    m.text || "",
+    ...m.attachments.map((a) => stableUrl(a.url)),
+  ].join("\u0000");
+
+/**
+ * Rows of an open thread, oldest first, as scraped by FacebookController, to
+ * messages:
+ *   { id, direction: "incoming" | "outgoing", sender: { name, isSelf }, text,
+ *     timestamp, timeLabel, attachments: [{ type, url, name }],
+ *     reactions: [{ emoji, count }], replyTo: { sender, text } | null }
+ * Messenger shows no message IDs, so `id` hashes the thread, sender and
+ * content, the time divider above the message and how many identical
+ * messages precede it under that divider. Newer messages arriving and older
+ * ones loading leave it alone, except above the first loaded divider
+ * (`timeLabel` null), where more of the group may still load: those ids
+ * only hold once the divider or the start of the thread is loaded.
+ * `timestamp` is that of the divider. `withRows` adds `row`, the index of
+ * its raw row.
+ */
+export function parseThreadRows(
+  rows,
+  { threadId, now = new Date(), tzOffset, withRows = false }
+) {
+  const messages = [];
+  let timeLabel = null;
+  let timestamp = null;
+  let lastIncoming = null; // a group sender's name only heads their first row
+
+  for (const [row, raw] of rows.entries()) {
+    const texts = (raw.texts || []).filter(Boolean);
+    const attachments = raw.attachments || [];
+    if (!texts.length && !attachments.length) {
+      const at = raw.separator
+        ? parseMessengerTime(raw.separator, now, tzOffset)
+        : null;
+      if (at) {
+        timeLabel = raw.separator;
+        timestamp = at;
+      }
+      continue;
+    }
+
+    const heading = parseHeading(raw.heading);
+    const outgoing = heading.sender ? SELF.test(heading.sender) : raw.outgoing;
+    if (!outgoing) lastIncoming = heading.sender || lastIncoming;
+    let replyTo = null;
+    let body = texts;
+    if (heading.repliedTo && texts.length > 1) {
+      replyTo = { sender: person(heading.repliedTo), text: texts[0] };
+      body = texts.slice(1);
+    }
+
+    messages.push({
+      direction: outgoing ? "outgoing" : "incoming",
+      sender: outgoing ? person("you") : person(lastIncoming),
+      text: body.join("\n") || null,
+      timestamp,
+      timeLabel,
+      attachments,
+      reactions: raw.reactions || [],
+      replyTo,
+      row,
+    });
+  }
+
+  // counted from the oldest under each divider: a divider's group only
+  // ever grows at the bottom
+  const seen = new Map();
+  for (const m of messages) {
+    const key = `${threadId}\u0000${sameKey(m)}`;
+    const n = seen.get(key) || 0;
+    seen.set(key, n + 1);
+    m.id = createHash("sha1")
+      .update(`${key}\u0000${n}`)
+      .digest("hex")
+      .slice(0, 16);
+  }
+  return messages.map(({ id, row, ...m }) =>
+    withRows ? { id, ...m, row } : { id, ...m }
+  );
+}
+
+/**
+ * The other messages among `messages` that `message` cannot be told apart
+ * from: same sender and content under the same time divider. Their ids
+ * depend on their order, so one of them going away renumbers the rest.
+ */
+export function duplicatesOf(messages, message) {
+  const key = sameKey(message);
+  return messages.filter((m) => m.id !== message.id && sameKey(m) === key);
+}
+
+const norm = (s) => (s || "").replace(/\s+/g, " ").trim();
+
+/**
+ * The message a request points at, among parsed `messages`: `{ messageId }`,
+ * or `{ text, timestamp }` for the message with that text under the latest
+ * time divider at or before `timestamp` (give or take a minute; dividers
+ * are coarser than messages). Returns { message } or { error } with
+ * message_not_found or ambiguous_message.
+ */
+export function pickMessage(messages, { messageId, text, timestamp }) {
+  if (messageId) {
+    const message = messages.find((m) => m.id === messageId);
+    return message ? { message } : { error: "message_not_found" };
+  }
+  const latest = Date.parse(timestamp) + 60 * 1000;
+  const found = messages.filter(
+    (m) =>
+      m.text !== null &&
+      norm(m.text) === norm(text) &&
+      m.timestamp &&
+      Date.parse(m.timestamp) <= latest
+  );
+  if (!found.length) return { error: "message_not_found" };
+  const at = Math.max(...found.map((m) => Date.parse(m.timestamp)));
+  const closest = found.filter((m) => Date.parse(m.timestamp) === at);
+  if (closest.length > 1)
+    return { error: "ambiguous_message", matches: closest.length };
+  return { message: closest[0] };
+}
@@ -0,0 +1,168 @@
+// src/utils/recipient.js
+// Who a message goes to. Anything that identifies the account exactly is
+// opened directly at /messages/t/<id>; only a display name goes through the
+// search heuristics in FacebookController.
+
+const FACEBOOK_HOSTS =
+  /^(?:(?:www|m|web|mbasic)\.)?(?:facebook\.com|fb\.com)$|^(?:www\.)?messenger\.com$/i;
+
+// facebook.com/<first path segment> that are not profiles
+const RESERVED_PATHS = new Set([
+  "search",
+  "groups",
+  "pages",
+  "events",
+  "watch",
+  "marketplace",
+  "gaming",
+  "login",
+  "login.php",
+  "friends",
+  "settings",
+  "notifications",
+  "help",
+  "photo",
+  "photo.php",
+  "story.php",
+  "permalink.php",
+  "share",
+  "sharer",
+  "hashtag",
+  // Messenger pages; thread URLs (/messages/t/<id>) are handled before these
+  "messages",
+  "t",
+]);
+
+// vanity usernames: letters, digits and dots (old ones can be short, "zuck")
+const USERNAME = /^[A-Za-z0-9.]{3,50}$/;
+const NUMERIC_ID = /^\d{5,20}$/;
+
+const invalid = (reason) => ({ type: "invalid", reason });
+
+function fromUrl(raw) {
+  let url;
+  try {
+    url = new URL(raw);
+  } catch {
+    return invalid("unparsable_url");
+  }
+  if (!FACEBOOK_HOSTS.test(url.hostname)) return invalid("not_a_facebook_url");
+  const parts = url.pathname.split("/").filter(Boolean);
+
+  // facebook.com/messages/t/<id> and messenger.com/t/<id>
+  const t = parts.indexOf("t");
+  if (t !== -1 && parts[t + 1] && (t === 0 || parts[t - 1] === "messages"))
+    return { type: "threadId", id: parts[t + 1] };
+
+  if (parts[0] === "profile.php") {
+    const id = url.searchParams.get("id");
+    return id && NUMERIC_ID.test(id)
+      ? { type: "userId", id }
+      : invalid("profile_url_without_id");
+  }
+  // facebook.com/people/<Display-Name>/<id>
+  if (parts[0] === "people" && parts[2] && NUMERIC_ID.test(parts[2]))
+    return { type: "userId", id: parts[2] };
+
+  if (parts.length >= 1 && !RESERVED_PATHS.has(parts[0].toLowerCase())) {
+    if (NUMERIC_ID.test(parts[0])) return { type: "userId", id: parts[0] };
+    if (USERNAME.test(parts[0]))
+      return { type: "username", username: parts[0] };
+  }
+  return invalid("not_a_profile_url");
+}
+
+/**
+ * Classify a recipient string:
+ *   https://www.facebook.com/zuck, .../profile.php?id=4  -> profile URL
+ *   @zuck                                                -> vanity username
+ *   100004512345678                                      -> numeric user ID
+ *   thread:1234567890, .../messages/t/1234567890         -> Messenger thread
+ *   anything else                                        -> display name
+ * Returns { type: "name" | "userId" | "username" | "threadId" | "invalid", ... }.
+ */
+export function parseRecipient(input) {
+  const raw = typeof input === "string" ? input.trim() : "";
+  if (!raw) return invalid("empty");
+
+  if (
+    /^https?:\/\//i.test(raw) ||
+    /^(?:www\.)?(?:facebook|messenger)\.com\//i.test(raw)
+  )
+    return fromUrl(/^https?:/i.test(raw) ? raw : `https://${raw}`);
+
+  let m = raw.match(/^thread:(\S+)$/i);
+  if (m)
+    return /^[A-Za-z0-9.]+$/.test(m[1])
+      ? { type: "threadId", id: m[1] }
+      : invalid("bad_thread_id");
+
+  m = raw.match(/^@(\S+)$/);
+  if (m)
+    return USERNAME.test(m[1])
+      ? { type: "username", username: m[1] }
+      : invalid("bad_username");
+
+  if (NUMERIC_ID.test(raw)) return { type: "userId", id: raw };
+  return { type: "name", name: raw };
+}
+
+// Messenger opens a thread for a user ID, a username or a thread ID alike
+export function threadUrl(target) {
+  const id = target.id || target.username;
+  return `https://www.facebook.com/messages/t/${encodeURIComponent(id)}`;
+}
+
+/**
+ * Canonical identity of a link scraped from a result row: { userId,
+ * username, threadId, profileUrl } with whatever the href reveals, or null
+ * when it isn't a profile or thread link.
+ */
+export function profileLink(href) {
+  if (!href) return null;
+  const target = parseRecipient(href);
+  if (target.type === "userId")
+    return {
+      userId: target.id,
+      username: null,
+      threadId: null,
+      profileUrl: `https://www.facebook.com/profile.php?id=${target.id}`,
+    };
+  if (target.type === "username")
+    return {
+      userId: null,
+      username: target.username,
+      threadId: null,
+      profileUrl: `https://www.facebook.com/${target.username}`,
+    };
+  if (target.type === "threadId")
+    return {
+      userId: null,
+      username: null,
+      threadId: target.id,
+      profileUrl: null,
+    };
+  return null;
+}
+
+// lowercase words without accents, for comparing names
+const nameWords = (s) =>
+  (s || "")
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+
+/**
+ * Whether a search result's name is one a query means: every word of the
+ * query starts a word of the name ("ali r" matches "Ali Rezaei", not
+ * "Alireza Karimi" or "Maryam").
+ */
+export function nameMatches(query, name) {
+  const words = nameWords(name);
+  const wanted = nameWords(query);
+  return (
+    wanted.length > 0 && wanted.every((q) => words.some((w) => w.startsWith(q)))
+  );
+}
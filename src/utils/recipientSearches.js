@@ -0,0 +1,33 @@
+// src/utils/recipientSearches.js
+// Recent resolveRecipient results, so a send can pick a candidate by
+// { searchId, candidateIndex } and get exactly the person that was listed,
+// not whoever a new search puts at that index.
+
+const DEFAULT_TTL_MS = 10 * 60 * 1000;
+
+export default class RecipientSearches {
+  constructor(opts = {}) {
+    this.ttlMs = opts.ttlMs || DEFAULT_TTL_MS;
+    this.searches = new Map(); // `${account}\0${searchId}` -> { candidates, at }
+  }
+
+  _prune(now = Date.now()) {
+    for (const [key, s] of this.searches)
+      if (now - s.at > this.ttlMs) this.searches.delete(key);
+  }
+
+  put(account, searchId, candidates) {
+    this._prune();
+    this.searches.set(`${account}\u0000${searchId}`, {
+      candidates,
+      at: Date.now(),
+    });
+  }
+
+  // the candidates of a search this account ran, or null once expired
+  get(account, searchId) {
+    this._prune();
+    const s = this.searches.get(`${account}\u0000${searchId}`);
+    return s ? s.candidates : null;
+  }
+}
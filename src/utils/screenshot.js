@@ -11,7 +11,9 @@ export async function captureScreenshot(page, label = "screenshot") {
   const filePath = path.join(dir, filename);
 
   try {
-    await page.setViewportSize({ width: 1280, height: 800 }).catch(() => {});
+    // ensure viewport not zero (keep the account's configured size otherwise)
+    if (!page.viewportSize())
+      await page.setViewportSize({ width: 1280, height: 800 }).catch(() => {});
     await new Promise((r) => setTimeout(r, 200));
     await page.screenshot({ path: filePath, fullPage: true });
     return {
@@ -23,3 +25,35 @@ export async function captureScreenshot(page, label = "screenshot") {
     return { success: false, error: err.message };
   }
 }
+
+/**
+ * Delete screenshots older than `olderThanMs` (by mtime) and the date
+ * folders left empty. With dryRun nothing is removed, only reported.
+ */
+export async function pruneScreenshots({ olderThanMs, dryRun = false } = {}) {
+  const baseDir = path.join(process.cwd(), "screenshots");
+  const cutoff = Date.now() - olderThanMs;
+  const removed = [];
+  let freedBytes = 0;
+
+  const dirs = await fs.readdir(baseDir).catch(() => []);
+  for (const d of dirs) {
+    const dir = path.join(baseDir, d);
+    const files = await fs.readdir(dir).catch(() => null);
+    if (!files) continue; // not a directory
+    let kept = 0;
+    for (const f of files) {
+      const file = path.join(dir, f);
+      const stat = await fs.stat(file).catch(() => null);
+      if (!stat || !stat.isFile() || stat.mtimeMs >= cutoff) {
+        kept++;
+        continue;
+      }
+      if (!dryRun) await fs.unlink(file);
+      removed.push(file);
+      freedBytes += stat.size;
+    }
+    if (!kept && !dryRun) await fs.rmdir(dir).catch(() => {});
+  }
+  return { removed, freedBytes };
+}
@@ -10,6 +10,11 @@ async function ensureDir(dir) {
   } catch (e) {}
 }
 
+// session names end up in file paths, keep them boring
+export function isValidSessionName(name) {
+  return typeof name === "string" && /^[A-Za-z0-9_-]{1,64}$/.test(name);
+}
+
 /**
  * Save cookies + localStorage to sessions/<name>.json
  * page: Playwright Page
@@ -86,3 +91,71 @@ export async function listSessions() {
     return [];
   }
 }
+
+// savedAt of sessions/<name>.json without loading it into a page
+export async function getSessionInfo(name = "default") {
+  const file = path.join(SESSIONS_DIR, `${name}.json`);
+  try {
+    const parsed = JSON.parse(await fs.readFile(file, "utf8"));
+    const savedAt = parsed.savedAt || null;
+    return {
+      exists: true,
+      savedAt,
+      ageMs: savedAt ? Date.now() - new Date(savedAt).getTime() : null,
+    };
+  } catch {
+    return { exists: false, savedAt: null, ageMs: null };
+  }
+}
+
+export async function readSessionFile(name = "default") {
+  const file = path.join(SESSIONS_DIR, `${name}.json`);
+  return JSON.parse(await fs.readFile(file, "utf8"));
+}
+
+export async function writeSessionFile(name, data) {
+  await ensureDir(SESSIONS_DIR);
+  const file = path.join(SESSIONS_DIR, `${name}.json`);
+  await fs.writeFile(file, JSON.stringify(data, null, 2), "utf8");
+  return file;
+}
+
+// c_user + xs are what keep an account logged in; without them (or once
+// they expire) loadSession "succeeds" but lands on the login form
+const AUTH_COOKIES = ["c_user", "xs"];
+
+/**
+ * Offline sanity check of a session file's contents. Does not open a
+ * browser, so a session Facebook has revoked server-side still passes.
+ */
+export function checkSessionData(data, now = Date.now()) {
+  const problems = [];
+  if (!data || typeof data !== "object" || !Array.isArray(data.cookies))
+    return {
+      ok: false,
+      problems: ["cookies must be an array"],
+      expiresAt: null,
+    };
+
+  let expiresAt = null;
+  for (const name of AUTH_COOKIES) {
+    const cookie = data.cookies.find((c) => c && c.name === name);
+    if (!cookie) {
+      problems.push(`missing ${name} cookie`);
+      continue;
+    }
+    // -1 / missing means a browser-session cookie, no fixed expiry
+    if (typeof cookie.expires !== "number" || cookie.expires < 0) continue;
+    const at = cookie.expires * 1000;
+    if (at <= now) problems.push(`${name} cookie expired`);
+    if (expiresAt === null || at < expiresAt) expiresAt = at;
+  }
+  if (data.localStorage && typeof data.localStorage !== "object")
+    problems.push("localStorage must be an object");
+
+  return {
+    ok: problems.length === 0,
+    problems,
+    expiresAt: expiresAt && new Date(expiresAt).toISOString(),
+  };
+}
@@ -1,13 +0,0 @@
-import puppeteer from "puppeteer-extra";
-import StealthPlugin from "puppeteer-extra-plugin-stealth";
-
-puppeteer.use(StealthPlugin());
-
-export async function startBrowser() {
-  const browser = await puppeteer.launch({
-    headless: false, // safer for FB
-    args: ["--no-sandbox", "--disable-setuid-sandbox", "--start-maximized"],
-    defaultViewport: null,
-  });
-  return browser;
-}
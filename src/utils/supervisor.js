@@ -0,0 +1,131 @@
+// src/utils/supervisor.js
+import { EventEmitter } from "events";
+import logger from "./logger.js";
+import { launchBrowser } from "./browser.js";
+import { RetryableError } from "./errors.js";
+
+/**
+ * Keeps one Chromium running for the context pool. When the browser
+ * disconnects (crash, killed process, closed window) every pool entry is
+ * failed with a retryable error, the browser is relaunched with exponential
+ * backoff, and the sessions that were open get their contexts (and
+ * initSession()) back.
+ *
+ * Emits "state" with one of: launching, ready, crashed, stopped.
+ */
+export default class BrowserSupervisor extends EventEmitter {
+  constructor(pool, opts = {}) {
+    super();
+    this.pool = pool;
+    this.launch = opts.launch || launchBrowser;
+    this.minBackoffMs = opts.minBackoffMs || 1000;
+    this.maxBackoffMs = opts.maxBackoffMs || 60 * 1000;
+    this.browser = null;
+    this.state = "stopped";
+    this.restarts = 0;
+    this.lastError = null;
+    this._failures = 0;
+    this._stopping = false;
+  }
+
+  get ready() {
+    return this.state === "ready";
+  }
+
+  _setState(state) {
+    if (this.state === state) return;
+    this.state = state;
+    logger.info("Browser supervisor state", { state });
+    this.emit("state", state);
+  }
+
+  async start(warmSessions = []) {
+    this._stopping = false;
+    this._setState("launching");
+    while (!this._stopping) {
+      try {
+        const browser = await this.launch();
+        this.browser = browser;
+        this._failures = 0;
+        browser.on("disconnected", () => this._onDisconnected(browser));
+        this.pool.attach(browser);
+        await this._warm(warmSessions);
+        this._setState("ready");
+        return;
+      } catch (err) {
+        this.lastError = err.message;
+        this._failures++;
+        const backoff =
+          Math.min(
+            this.maxBackoffMs,
+            this.minBackoffMs * Math.pow(2, this._failures - 1)
+          ) + Math.floor(Math.random() * 500);
+        logger.error("Browser launch failed", {
+          error: err.message,
+          attempt: this._failures,
+          retryInMs: backoff,
+        });
+        await new Promise((r) => setTimeout(r, backoff));
+      }
+    }
+  }
+
+  // re-open the sessions that were live before a crash so they are logged in again
+  async _warm(sessionNames) {
+    for (const name of sessionNames) {
+      try {
+        await this.pool.get(name);
+      } catch (err) {
+        logger.warn("Could not restore session after relaunch", {
+          sessionName: name,
+          error: err.message,
+        });
+      }
+    }
+  }
+
+  _onDisconnected(browser) {
+    if (browser !== this.browser || this._stopping) return;
+    this.browser = null;
+    this.restarts++;
+    this.lastError = "browser disconnected";
+    this._setState("crashed");
+    logger.error("Browser disconnected, relaunching", {
+      restarts: this.restarts,
+    });
+
+    const openSessions = this.pool.list().map((e) => e.sessionName);
+    this.pool.attach(null);
+    this.pool.invalidateAll(
+      new RetryableError("browser_crashed", "browser disconnected")
+    );
+    this.start(openSessions);
+  }
+
+  // resolves true once ready, false if that doesn't happen within timeoutMs
+  whenReady(timeoutMs = 60 * 1000) {
+    if (this.ready) return Promise.resolve(true);
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this.off("state", onState);
+        resolve(false);
+      }, timeoutMs);
+      const onState = (state) => {
+        if (state !== "ready") return;
+        clearTimeout(timer);
+        this.off("state", onState);
+        resolve(true);
+      };
+      this.on("state", onState);
+    });
+  }
+
+  async stop() {
+    this._stopping = true;
+    const browser = this.browser;
+    this.browser = null;
+    await this.pool.closeAll().catch(() => {});
+    if (browser) await browser.close().catch(() => {});
+    this._setState("stopped");
+  }
+}
@@ -0,0 +1,282 @@
+// src/utils/templates.js
+// Named message templates with per-locale variants, e.g.
+//   { "name": "welcome", "defaultLocale": "en",
+//     "variants": { "en": "Hi {firstName}, welcome to {company|our team}!",
+//                   "fa": "سلام {firstName}، به {company|تیم ما} خوش آمدی!" },
+//     "defaults": { "firstName": "there" } }
+// A placeholder is {name} or {name|fallback}; {{ and }} are literal braces.
+import fs from "fs";
+import path from "path";
+import logger from "./logger.js";
+import { ApiError } from "./errors.js";
+
+const DEFAULT_FILE = path.join(process.cwd(), "data", "templates.json");
+
+const NAME = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+const VARIABLE = /^[A-Za-z_][A-Za-z0-9_.]*$/;
+const MAX_TEXT = 5000;
+
+// "constructor", "toString", ... would read through to Object.prototype
+const isPlainName = (name) => !(name in Object.prototype);
+
+export const isValidTemplateName = (name) =>
+  typeof name === "string" && NAME.test(name) && isPlainName(name);
+
+/**
+ * Split a template into literal text and { variable, fallback } parts.
+ * Throws Error with a readable reason on a malformed placeholder.
+ */
+export function parseTemplate(text) {
+  const parts = [];
+  let literal = "";
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if ((ch === "{" || ch === "}") && text[i + 1] === ch) {
+      literal += ch;
+      i++;
+      continue;
+    }
+    if (ch === "}") throw new Error(`unmatched "}" at ${i}`);
+    if (ch !== "{") {
+      literal += ch;
+      continue;
+    }
+    const end = text.indexOf("}", i);
+    if (end === -1) throw new Error(`unclosed "{" at ${i}`);
+    const body = text.slice(i + 1, end);
+    const bar = body.indexOf("|");
+    const variable = (bar === -1 ? body : body.slice(0, bar)).trim();
+    if (!VARIABLE.test(variable) || !isPlainName(variable))
+      throw new Error(`bad placeholder {${body}} at ${i}`);
+    if (literal) parts.push(literal);
+    literal = "";
+    parts.push({
+      variable,
+      fallback: bar === -1 ? undefined : body.slice(bar + 1),
+    });
+    i = end;
+  }
+  if (literal) parts.push(literal);
+  return parts;
+}
+
+// placeholder names used by any variant, sorted
+export function templateVariables(template) {
+  const names = new Set();
+  for (const text of Object.values(template.variants))
+    for (const part of parseTemplate(text))
+      if (typeof part !== "string") names.add(part.variable);
+  return [...names].sort();
+}
+
+/**
+ * Which variant to use for `locale`: the exact tag, then its language
+ * ("fa-IR" -> "fa"), then the template's defaultLocale.
+ */
+export function pickLocale(template, locale) {
+  const variants = template.variants;
+  if (locale) {
+    const exact = Object.keys(variants).find(
+      (k) => k.toLowerCase() === String(locale).toLowerCase()
+    );
+    if (exact) return exact;
+    const language = String(locale).split("-")[0].toLowerCase();
+    const base = Object.keys(variants).find(
+      (k) => k.toLowerCase() === language
+    );
+    if (base) return base;
+  }
+  return template.defaultLocale;
+}
+
+/**
+ * Render `template` with `variables`. A missing (or empty) variable takes the
+ * placeholder's own fallback, then the template's `defaults`; anything still
+ * missing is an ApiError listing all of them.
+ * Returns { text, locale, usedFallbacks }.
+ */
+export function renderTemplate(template, variables = {}, locale) {
+  if (!variables || typeof variables !== "object" || Array.isArray(variables))
+    throw new ApiError(400, "invalid_variables", {
+      reason: "variables must be an object",
+    });
+  for (const [k, v] of Object.entries(variables))
+    if (typeof v !== "string" && typeof v !== "number")
+      throw new ApiError(400, "invalid_variables", {
+        reason: `${k} must be a string or a number`,
+      });
+
+  const used = pickLocale(template, locale);
+  const defaults = template.defaults || {};
+  const missing = new Set();
+  const usedFallbacks = new Set();
+  let text = "";
+  for (const part of parseTemplate(template.variants[used])) {
+    if (typeof part === "string") {
+      text += part;
+      continue;
+    }
+    const value = Object.hasOwn(variables, part.variable)
+      ? variables[part.variable]
+      : undefined;
+    const hasDefault = Object.hasOwn(defaults, part.variable);
+    if (value !== undefined && value !== "") text += String(value);
+    else if (part.fallback !== undefined || hasDefault) {
+      text += part.fallback ?? String(defaults[part.variable]);
+      usedFallbacks.add(part.variable);
+    } else missing.add(part.variable);
+  }
+  if (missing.size)
+    throw new ApiError(400, "missing_variables", {
+      template: template.name,
+      locale: used,
+      missing: [...missing],
+    });
+  if (!text.trim())
+    throw new ApiError(400, "empty_message", { template: template.name });
+  return { text, locale: used, usedFallbacks: [...usedFallbacks] };
+}
+
+function validLocale(locale) {
+  try {
+    return Intl.getCanonicalLocales(locale).length === 1;
+  } catch {
+    return false;
+  }
+}
+
+// problems with a template body sent to PUT /templates/:name
+function checkTemplate(body) {
+  const problems = [];
+  const variants = body && body.variants;
+  if (!variants || typeof variants !== "object" || Array.isArray(variants))
+    return ["variants must be an object of locale -> text"];
+  if (!Object.keys(variants).length) problems.push("variants is empty");
+  for (const [locale, text] of Object.entries(variants)) {
+    if (!validLocale(locale)) problems.push(`${locale} is not a locale`);
+    if (typeof text !== "string" || !text.trim())
+      problems.push(`variants.${locale} must be non-empty text`);
+    else if (text.length > MAX_TEXT)
+      problems.push(`variants.${locale} is over ${MAX_TEXT} characters`);
+    else
+      try {
+        parseTemplate(text);
+      } catch (err) {
+        problems.push(`variants.${locale}: ${err.message}`);
+      }
+  }
+  if (
+    body.defaultLocale !== undefined &&
+    !Object.hasOwn(variants, body.defaultLocale)
+  )
+    problems.push("defaultLocale must be one of the variants");
+  const defaults = body.defaults;
+  if (defaults !== undefined) {
+    if (!defaults || typeof defaults !== "object" || Array.isArray(defaults))
+      problems.push("defaults must be an object");
+    else
+      for (const [k, v] of Object.entries(defaults))
+        if (typeof v !== "string" && typeof v !== "number")
+          problems.push(`defaults.${k} must be a string or a number`);
+  }
+  if (body.description !== undefined && typeof body.description !== "string")
+    problems.push("description must be a string");
+  return problems;
+}
+
+/**
+ * Templates by name, kept in one JSON file. Written atomically on every
+ * change; the file can also be edited by hand while the server is down.
+ */
+export default class TemplateStore {
+  constructor(opts = {}) {
+    this.file = opts.file || DEFAULT_FILE;
+    this.templates = this._load(); // name -> template
+  }
+
+  _load() {
+    let list;
+    try {
+      list = JSON.parse(fs.readFileSync(this.file, "utf8"));
+    } catch (err) {
+      if (err.code !== "ENOENT")
+        logger.error("Could not read templates", {
+          file: this.file,
+          error: err.message,
+        });
+      return new Map();
+    }
+    const templates = new Map();
+    for (const t of Array.isArray(list) ? list : []) {
+      const problems = isValidTemplateName(t && t.name)
+        ? checkTemplate(t)
+        : ["bad name"];
+      if (problems.length) {
+        logger.error("Ignoring invalid template", {
+          name: t && t.name,
+          problems,
+        });
+        continue;
+      }
+      templates.set(t.name, t);
+    }
+    return templates;
+  }
+
+  _save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = this.file + ".tmp";
+    fs.writeFileSync(tmp, JSON.stringify(this.list(), null, 2));
+    fs.renameSync(tmp, this.file);
+  }
+
+  list() {
+    return [...this.templates.values()].sort((a, b) =>
+      a.name.localeCompare(b.name)
+    );
+  }
+
+  // the template or ApiError 404
+  get(name) {
+    const t = isValidTemplateName(name) && this.templates.get(name);
+    if (!t) throw new ApiError(404, "template_not_found", { template: name });
+    return t;
+  }
+
+  // create or replace; returns { template, created }
+  put(name, body = {}) {
+    if (!isValidTemplateName(name))
+      throw new ApiError(400, "invalid_template_name", {
+        rule: "letters, digits, _ and -, up to 64, not an Object property name",
+      });
+    const problems = checkTemplate(body);
+    if (problems.length)
+      throw new ApiError(400, "invalid_template", { problems });
+
+    const existing = this.templates.get(name);
+    const now = new Date().toISOString();
+    const template = {
+      name,
+      description: body.description || "",
+      defaultLocale: body.defaultLocale || Object.keys(body.variants)[0],
+      variants: body.variants,
+      defaults: body.defaults || {},
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now,
+    };
+    this.templates.set(name, template);
+    this._save();
+    return { template, created: !existing };
+  }
+
+  remove(name) {
+    this.get(name);
+    this.templates.delete(name);
+    this._save();
+  }
+
+  // render the named template; see renderTemplate()
+  render(name, variables, locale) {
+    return renderTemplate(this.get(name), variables, locale);
+  }
+}
@@ -0,0 +1,159 @@
+// src/utils/webhooks.js
+import fs from "fs";
+import path from "path";
+import { createHmac, randomUUID } from "crypto";
+import logger from "./logger.js";
+
+const DEFAULT_DEAD_LETTER_FILE = path.join(
+  process.cwd(),
+  "data",
+  "webhook-dead-letters.json"
+);
+
+export function isValidCallbackUrl(url) {
+  try {
+    const u = new URL(url);
+    return u.protocol === "http:" || u.protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+// receivers verify with: hex(hmac_sha256(secret, `${timestamp}.${rawBody}`))
+export function signPayload(secret, timestamp, body) {
+  return createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+}
+
+/**
+ * POSTs signed JSON envelopes to caller-supplied URLs. A delivery is retried
+ * with exponential backoff (baseDelayMs * 2^n + jitter); after maxAttempts it
+ * goes to the dead-letter list, which is persisted so it survives restarts.
+ */
+export default class WebhookDispatcher {
+  constructor(opts = {}) {
+    this.secret = opts.secret || null;
+    this.maxAttempts = opts.maxAttempts || 6;
+    this.baseDelayMs = opts.baseDelayMs || 2000;
+    this.timeoutMs = opts.timeoutMs || 10 * 1000;
+    this.deadLetterFile = opts.deadLetterFile || DEFAULT_DEAD_LETTER_FILE;
+    this.deadLetters = this._loadDeadLetters();
+    if (!this.secret)
+      logger.warn("WEBHOOK_SECRET not set, callbackUrl will be rejected");
+  }
+
+  get enabled() {
+    return Boolean(this.secret);
+  }
+
+  _loadDeadLetters() {
+    try {
+      return JSON.parse(fs.readFileSync(this.deadLetterFile, "utf8"));
+    } catch {
+      return [];
+    }
+  }
+
+  _saveDeadLetters() {
+    try {
+      fs.mkdirSync(path.dirname(this.deadLetterFile), { recursive: true });
+      fs.writeFileSync(
+        this.deadLetterFile,
+        JSON.stringify(this.deadLetters, null, 2)
+      );
+    } catch (err) {
+      logger.error("Could not persist webhook dead letters", {
+        error: err.message,
+      });
+    }
+  }
+
+  // fire and forget; retries happen in the background
+  deliver(url, payload) {
+    const delivery = {
+      id: randomUUID(),
+      url,
+      payload,
+      attempts: 0,
+      lastError: null,
+      createdAt: new Date().toISOString(),
+    };
+    this._attempt(delivery);
+    return delivery.id;
+  }
+
+  async _attempt(delivery) {
+    delivery.attempts++;
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    try {
+      const res = await fetch(delivery.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-Webhook-Id": delivery.id,
+          "X-Webhook-Timestamp": timestamp,
+          "X-Webhook-Signature": `sha256=${signPayload(
+            this.secret,
+            timestamp,
+            body
+          )}`,
+        },
+        body,
+        signal: AbortSignal.timeout(this.timeoutMs),
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      logger.info("Webhook delivered", {
+        deliveryId: delivery.id,
+        url: delivery.url,
+        attempts: delivery.attempts,
+      });
+    } catch (err) {
+      delivery.lastError = err.message;
+      if (delivery.attempts >= this.maxAttempts) {
+        logger.error("Webhook delivery failed permanently", {
+          deliveryId: delivery.id,
+          url: delivery.url,
+          error: err.message,
+        });
+        this.deadLetters.push({
+          ...delivery,
+          failedAt: new Date().toISOString(),
+        });
+        this._saveDeadLetters();
+        return;
+      }
+      const backoff =
+        this.baseDelayMs * Math.pow(2, delivery.attempts - 1) +
+        Math.floor(Math.random() * 1000);
+      logger.warn("Webhook delivery failed, will retry", {
+        deliveryId: delivery.id,
+        url: delivery.url,
+        attempts: delivery.attempts,
+        retryInMs: backoff,
+        error: err.message,
+      });
+      setTimeout(() => this._attempt(delivery), backoff).unref();
+    }
+  }
+
+  // take a dead letter off the list and start delivering it again
+  redeliver(id) {
+    const idx = this.deadLetters.findIndex((d) => d.id === id);
+    if (idx === -1) return false;
+    const [delivery] = this.deadLetters.splice(idx, 1);
+    this._saveDeadLetters();
+    delivery.attempts = 0;
+    this._attempt(delivery);
+    return true;
+  }
+
+  discard(id) {
+    const before = this.deadLetters.length;
+    this.deadLetters = this.deadLetters.filter((d) => d.id !== id);
+    if (this.deadLetters.length === before) return false;
+    this._saveDeadLetters();
+    return true;
+  }
+}